@@ -0,0 +1,118 @@
+// Claves de API guardadas en la BD. Cada clave tiene una etiqueta (quién la
+// usa), unos scopes y se puede revocar sin tocar el resto. De la clave solo
+// se guarda su hash SHA-256: el valor en claro se devuelve una única vez al
+// crearla.
+//
+// Scopes:
+//   read  → rutas GET de datos
+//   sync  → lanzar sincronizaciones
+//   admin → todo lo anterior más jugadores y años, caché, cuentas de SoloQ y claves
+const crypto = require("crypto");
+const { createCache } = require("./cache");
+
+const SCOPES = ["read", "sync", "admin"];
+
+// Cuánto se recuerda en memoria una clave ya validada, y cuántas como mucho
+const LOOKUP_TTL = 60 * 1000;
+const LOOKUP_MAX_ENTRIES = 100;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+function generateKey() {
+  return `g2h_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function hasScope(apiKey, scope) {
+  return Boolean(apiKey) && (apiKey.scopes.includes(scope) || apiKey.scopes.includes("admin"));
+}
+
+// Valida el cuerpo de POST /api-keys. Devuelve { error } o { value }.
+function validateKeyInput(body) {
+  const { label, scopes } = body || {};
+  if (typeof label !== "string" || !label.trim() || label.length > 100) {
+    return { error: "label es obligatorio (máx. 100 caracteres)" };
+  }
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    scopes.some((s) => !SCOPES.includes(s))
+  ) {
+    return { error: `scopes debe ser una lista con: ${SCOPES.join(", ")}` };
+  }
+  return { value: { label: label.trim(), scopes: [...new Set(scopes)] } };
+}
+
+function toApiKey(row) {
+  return {
+    id: Number(row.id),
+    label: row.label,
+    prefix: row.prefix,
+    scopes: row.scopes ? row.scopes.split(",") : [],
+    revoked: Boolean(row.revoked),
+    created_at: row.created_at,
+    revoked_at: row.revoked_at,
+  };
+}
+
+// Las claves validadas se recuerdan en una caché propia y pequeña, que se
+// vacía al revocar. Las que no existen no se guardan: cualquiera puede mandar
+// claves inventadas y no deben echar de la caché a las buenas (ni, si fuera
+// la compartida, a los datos de la API)
+function createApiKeysRepository(
+  db,
+  { cache = createCache({ maxEntries: LOOKUP_MAX_ENTRIES, defaultTtl: LOOKUP_TTL }) } = {}
+) {
+  // Crea una clave y devuelve sus datos junto con el valor en claro
+  async function create({ label, scopes }) {
+    const key = generateKey();
+    const result = await db.execute(
+      `INSERT INTO api_keys (label, key_hash, prefix, scopes) VALUES (?, ?, ?, ?)`,
+      [label, hashKey(key), key.slice(0, 8), scopes.join(",")]
+    );
+    return { ...(await findById(Number(result.lastInsertRowid))), key };
+  }
+
+  async function findById(id) {
+    const result = await db.execute("SELECT * FROM api_keys WHERE id = ?", [id]);
+    return result.rows[0] ? toApiKey(result.rows[0]) : null;
+  }
+
+  // Clave activa que corresponde al valor recibido, o null
+  async function findByKey(key) {
+    const hash = hashKey(key);
+    const cached = cache.get(`api-keys:${hash}`);
+    if (cached) return cached;
+
+    const result = await db.execute(
+      "SELECT * FROM api_keys WHERE key_hash = ? AND revoked = 0",
+      [hash]
+    );
+    if (!result.rows[0]) return null;
+    return cache.set(`api-keys:${hash}`, toApiKey(result.rows[0]));
+  }
+
+  async function list() {
+    const result = await db.execute("SELECT * FROM api_keys ORDER BY id");
+    return result.rows.map(toApiKey);
+  }
+
+  // Marca la clave como revocada; null si no existe
+  async function revoke(id) {
+    const result = await db.execute(
+      `UPDATE api_keys SET revoked = 1, revoked_at = COALESCE(revoked_at, ?)
+       WHERE id = ?`,
+      [new Date().toISOString(), id]
+    );
+    cache.clear();
+    return result.rowsAffected ? findById(id) : null;
+  }
+
+  return { create, findById, findByKey, list, revoke };
+}
+
+module.exports = {
+  createApiKeysRepository,
+  validateKeyInput,
+  hasScope,
+  SCOPES,
+};
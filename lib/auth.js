@@ -0,0 +1,79 @@
+// Autenticación y autorización por ruta. Cada ruta protegida declara su
+// scope con requireScope(scope), que identifica la clave y comprueba el
+// permiso: no depende del orden en que se registran middlewares y rutas.
+const { hasScope } = require("./apiKeysRepository");
+
+// La API_KEY del entorno sigue valiendo como clave con todos los permisos:
+// sirve para crear las primeras claves en la BD y para los despliegues que
+// todavía la usan
+const ENV_API_KEY = { id: null, label: "API_KEY (entorno)", scopes: ["admin"] };
+
+// limiter: middleware opcional que se aplica ya con la clave identificada
+// (límite de peticiones por clave)
+function createAuth({ apiKeysRepo, envApiKey, limiter = (req, res, next) => next() }) {
+  // Identifica la clave del header Authorization en req.apiKey
+  async function requireApiKey(req, res, next) {
+    const auth = req.get("Authorization") || "";
+    const [scheme, key] = auth.split(" ");
+    if (scheme !== "Bearer" || !key) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    try {
+      req.apiKey =
+        envApiKey && key === envApiKey ? ENV_API_KEY : await apiKeysRepo.findByKey(key);
+    } catch (err) {
+      console.error("Error al validar la API key:", err.message);
+      return res.status(500).json({ error: "Error interno del servidor" });
+    }
+    if (!req.apiKey) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+  }
+
+  // Middlewares de una ruta protegida: clave válida con el scope indicado
+  // (admin incluye todos)
+  function requireScope(scope) {
+    const checkScope = (req, res, next) => {
+      if (!hasScope(req.apiKey, scope)) {
+        return res.status(403).json({ error: "Forbidden", required_scope: scope });
+      }
+      next();
+    };
+    // Marca que busca assertRoutesProtected
+    checkScope.requiredScope = scope;
+    return [requireApiKey, limiter, checkScope];
+  }
+
+  return { requireApiKey, requireScope };
+}
+
+// Rutas que no son GET/HEAD y no pasan por requireScope, como "POST /x"
+function findUnprotectedRoutes(app, { allow = [] } = {}) {
+  const unprotected = [];
+  for (const layer of app._router.stack) {
+    if (!layer.route) continue;
+    const { path, stack } = layer.route;
+    for (const method of Object.keys(layer.route.methods)) {
+      if (method === "get" || method === "head") continue;
+      const route = `${method.toUpperCase()} ${path}`;
+      if (allow.includes(route)) continue;
+      const guarded = stack.some(
+        (handler) => handler.method === method && handler.handle.requiredScope
+      );
+      if (!guarded) unprotected.push(route);
+    }
+  }
+  return unprotected;
+}
+
+// Comprobación de arranque: falla si alguna ruta que modifica datos o lanza
+// un scraping ha quedado sin protección
+function assertRoutesProtected(app, options) {
+  const unprotected = findUnprotectedRoutes(app, options);
+  if (unprotected.length) {
+    throw new Error(`Rutas sin autorización: ${unprotected.join(", ")}`);
+  }
+}
+
+module.exports = { createAuth, findUnprotectedRoutes, assertRoutesProtected };
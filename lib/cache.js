@@ -0,0 +1,165 @@
+// Caché en memoria compartida por toda la API.
+//
+// Cada entrada tiene su TTL y una lista de tags. Las escrituras invalidan por
+// tag (p. ej. "players" o "player:12") en lugar de vaciarlo todo. Como mucho
+// guarda maxEntries: al pasarse se descarta la que lleva más tiempo sin usarse.
+//
+// changedAt(tag) dice cuándo se invalidó un tag por última vez (o cuándo se
+// creó la caché, si nunca): es el Last-Modified de las rutas de lectura.
+//
+// Las claves empiezan por el recurso ("players:year:2024" → "players"), que es
+// como se agrupan las estadísticas de /cache/stats.
+
+const DEFAULT_TTL = 60 * 60 * 1000;
+// Los "no existe" se guardan menos tiempo para que un alta se vea pronto
+const DEFAULT_NEGATIVE_TTL = 5 * 60 * 1000;
+
+const resourceOf = (key) => key.split(":")[0];
+
+function createCache({
+  maxEntries = 500,
+  defaultTtl = DEFAULT_TTL,
+  negativeTtl = DEFAULT_NEGATIVE_TTL,
+  now = () => Date.now(),
+} = {}) {
+  // key → { value, expiresAt, tags }; el orden del Map es el de uso (LRU)
+  const entries = new Map();
+  // Cargas en marcha: peticiones simultáneas a la misma clave esperan la misma
+  const loading = new Map();
+  const counters = new Map();
+  let evictions = 0;
+  // tag → instante de su última invalidación
+  const changes = new Map();
+  const createdAt = now();
+  let clearedAt = createdAt;
+  // Sube con cada invalidación: lo cargado mientras tanto puede estar viejo
+  let generation = 0;
+
+  function count(key, field) {
+    const resource = resourceOf(key);
+    const c = counters.get(resource) || { hits: 0, misses: 0 };
+    c[field]++;
+    counters.set(resource, c);
+  }
+
+  // Entrada vigente sin tocar estadísticas ni el orden LRU
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function has(key) {
+    return live(key) !== null;
+  }
+
+  function get(key) {
+    const entry = live(key);
+    if (!entry) {
+      count(key, "misses");
+      return undefined;
+    }
+    count(key, "hits");
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value, { ttl = defaultTtl, tags = [] } = {}) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + ttl, tags: [resourceOf(key), ...tags] });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      evictions++;
+    }
+    return value;
+  }
+
+  // Devuelve la entrada o la carga con loader(). Un resultado null/undefined
+  // también se guarda (caché negativa) con negativeTtl. tags puede ser una
+  // función del valor cargado.
+  async function wrap(key, loader, options = {}) {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+    if (loading.has(key)) return loading.get(key);
+
+    const promise = (async () => {
+      const startedGeneration = generation;
+      const value = (await loader()) ?? null;
+      if (generation !== startedGeneration) return value;
+      const tags = typeof options.tags === "function" ? options.tags(value) : options.tags;
+      const ttl = value === null ? options.negativeTtl ?? negativeTtl : options.ttl;
+      return set(key, value, { ttl: ttl ?? defaultTtl, tags });
+    })().finally(() => loading.delete(key));
+    loading.set(key, promise);
+    return promise;
+  }
+
+  function invalidate(key) {
+    return entries.delete(key);
+  }
+
+  // Borra todas las entradas con alguno de los tags; devuelve cuántas
+  function invalidateTags(...tags) {
+    for (const tag of tags) changes.set(tag, now());
+    generation++;
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (entry.tags.some((t) => tags.includes(t))) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  function clear() {
+    clearedAt = now();
+    generation++;
+    const removed = entries.size;
+    entries.clear();
+    return removed;
+  }
+
+  // Último cambio de cualquiera de los tags. Vaciar la caché cuenta como
+  // cambio de todo (se usa tras tocar la BD a mano)
+  function changedAt(...tags) {
+    return Math.max(clearedAt, ...tags.map((t) => changes.get(t) ?? createdAt));
+  }
+
+  const hitRate = ({ hits, misses }) =>
+    hits + misses ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null;
+
+  function stats() {
+    const resources = {};
+    for (const [resource, c] of counters) {
+      resources[resource] = { entries: 0, ...c, hit_rate: hitRate(c) };
+    }
+    for (const key of entries.keys()) {
+      if (!live(key)) continue;
+      const resource = resourceOf(key);
+      resources[resource] ||= { entries: 0, hits: 0, misses: 0, hit_rate: null };
+      resources[resource].entries++;
+    }
+    const totals = Object.values(resources).reduce(
+      (t, r) => ({ hits: t.hits + r.hits, misses: t.misses + r.misses }),
+      { hits: 0, misses: 0 }
+    );
+    return {
+      entries: entries.size,
+      max_entries: maxEntries,
+      evictions,
+      ...totals,
+      hit_rate: hitRate(totals),
+      resources,
+    };
+  }
+
+  return { get, has, set, wrap, invalidate, invalidateTags, clear, changedAt, stats };
+}
+
+module.exports = { createCache, DEFAULT_TTL, DEFAULT_NEGATIVE_TTL };
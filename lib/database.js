@@ -0,0 +1,17 @@
+// URL de la BD del servidor y de "npm run migrate". Sin TURSO_URL se usa el
+// SQLite local que prepara "npm run seed", pero no en producción: un deploy
+// sin el secreto no debe arrancar sobre una BD vacía y servir o guardar
+// datos en ella. ALLOW_LOCAL_DB=true lo permite a propósito.
+const LOCAL_DB_URL = "file:local.db";
+
+function databaseUrl(env = process.env) {
+  if (env.TURSO_URL) return env.TURSO_URL;
+  if (env.NODE_ENV !== "production" || env.ALLOW_LOCAL_DB === "true") {
+    return LOCAL_DB_URL;
+  }
+  throw new Error(
+    "Falta TURSO_URL: en producción no se usa el SQLite local (ALLOW_LOCAL_DB=true para forzarlo)"
+  );
+}
+
+module.exports = { databaseUrl, LOCAL_DB_URL };
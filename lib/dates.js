@@ -0,0 +1,144 @@
+// Helpers de fecha (sin librerías externas). Todo lo que se guarda en la BD
+// es un instante UTC en ISO 8601: "2025-06-20T18:00:00.000Z".
+
+// Abreviaturas de zona horaria que usan las fuentes → desfase en minutos
+const TZ_ABBREVIATIONS = {
+  UTC: 0,
+  GMT: 0,
+  Z: 0,
+  WET: 0,
+  WEST: 60,
+  BST: 60,
+  CET: 60,
+  CEST: 120,
+  EET: 120,
+  EEST: 180,
+  MSK: 180,
+  IST: 330,
+  SGT: 480,
+  CST: 480, // Liquipedia usa CST para China Standard Time (LPL)
+  KST: 540,
+  JST: 540,
+  AEST: 600,
+  AEDT: 660,
+  BRT: -180,
+  EST: -300,
+  EDT: -240,
+  PST: -480,
+  PDT: -420,
+};
+
+const MONTHS = {
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6,
+  july: 7, august: 8, september: 9, october: 10, november: 11, december: 12,
+};
+
+// "+2:00", "-05:30", "UTC+2", "GMT-3" → minutos; null si no es un desfase
+function parseOffset(text) {
+  const m = String(text || "")
+    .trim()
+    .match(/^(?:UTC|GMT)?\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?$/i);
+  if (!m) return null;
+  const minutes = Number(m[2]) * 60 + Number(m[3] || 0);
+  return m[1] === "-" ? -minutes : minutes;
+}
+
+// Desfase en minutos de una zona escrita como abreviatura o como desfase
+function tzToOffsetMinutes(tz) {
+  if (!tz) return null;
+  const key = String(tz).trim().toUpperCase();
+  if (key in TZ_ABBREVIATIONS) return TZ_ABBREVIATIONS[key];
+  return parseOffset(key);
+}
+
+// Parsea la fecha que muestra una fuente y la convierte a instante UTC.
+//  - text: "June 20, 2025 - 18:00 CEST", "June 20, 2025 - 18:00 UTC+2" o ISO
+//  - timestamp: segundos epoch (data-timestamp de Liquipedia), tiene prioridad
+//  - tz: desfase explícito ("+2:00", data-tz de Liquipedia) si el texto no lo trae
+// Devuelve un Date o null si no se puede interpretar sin adivinar.
+function parseSourceDate(text, { timestamp, tz } = {}) {
+  const ts = Number(timestamp);
+  if (timestamp != null && timestamp !== "" && Number.isFinite(ts) && ts > 0) {
+    return new Date(ts * 1000);
+  }
+
+  const raw = String(text || "").trim();
+  if (!raw) return null;
+
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(raw)) {
+    const iso = new Date(raw);
+    return isNaN(iso) ? null : iso;
+  }
+
+  const m = raw.match(
+    /^([a-z]+)\s+(\d{1,2}),?\s+(\d{4})\s*-?\s*(\d{1,2}):(\d{2})\s*(.*)$/i
+  );
+  if (!m) return null;
+
+  const month = MONTHS[m[1].toLowerCase()];
+  if (!month) return null;
+
+  const offset = tzToOffsetMinutes(m[6]) ?? tzToOffsetMinutes(tz);
+  if (offset === null) return null;
+
+  const local = Date.UTC(
+    Number(m[3]),
+    month - 1,
+    Number(m[2]),
+    Number(m[4]),
+    Number(m[5])
+  );
+  return new Date(local - offset * 60 * 1000);
+}
+
+// Igual que parseSourceDate pero devuelve el ISO UTC que se guarda en la BD
+function toUtcIso(text, options) {
+  const date = parseSourceDate(text, options);
+  return date ? date.toISOString() : null;
+}
+
+// Desfase (ms) de una zona IANA respecto a UTC en un instante dado
+function getTzOffsetMs(date, timeZone) {
+  const f = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour12: false,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  const parts = f.formatToParts(date);
+  const map = {};
+  for (const p of parts) map[p.type] = p.value;
+  const asUTC = Date.UTC(
+    Number(map.year),
+    Number(map.month) - 1,
+    Number(map.day),
+    Number(map.hour),
+    Number(map.minute),
+    Number(map.second)
+  );
+  return asUTC - date.getTime();
+}
+
+// Timestamp UTC de una hora local en una zona IANA (p. ej. Europe/Madrid)
+function toZonedTimestamp(year, month, day, hour, minute, timeZone) {
+  const guess = new Date(Date.UTC(year, month - 1, day, hour, minute, 0));
+  const offset = getTzOffsetMs(guess, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, 0) - offset;
+}
+
+function nowInTz(timeZone, now = new Date()) {
+  const offset = getTzOffsetMs(now, timeZone);
+  return new Date(now.getTime() + offset);
+}
+
+module.exports = {
+  parseSourceDate,
+  toUtcIso,
+  getTzOffsetMs,
+  toZonedTimestamp,
+  nowInTz,
+};
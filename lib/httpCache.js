@@ -0,0 +1,23 @@
+// Cabeceras de caché HTTP para las rutas de lectura.
+//
+// El ETag lo pone Express (hash del cuerpo) y es Express quien responde 304
+// cuando If-None-Match o If-Modified-Since coinciden (req.fresh). Aquí se
+// añaden Last-Modified y Cache-Control; hay que llamarlo justo antes de
+// responder con éxito para no cachear errores.
+//
+// Las rutas con clave de API van como "private": un CDN no debe guardar una
+// respuesta autenticada y servírsela a quien no tiene clave.
+
+function setCacheHeaders(res, { maxAge, lastModified, isPublic = false, staleWhileRevalidate }) {
+  const directives = [isPublic ? "public" : "private", `max-age=${maxAge}`];
+  if (staleWhileRevalidate) directives.push(`stale-while-revalidate=${staleWhileRevalidate}`);
+  res.set("Cache-Control", directives.join(", "));
+
+  if (lastModified != null) {
+    // Nunca en el futuro: fresh() lo compararía con relojes de cliente
+    const date = new Date(Math.min(new Date(lastModified).getTime(), Date.now()));
+    if (!isNaN(date)) res.set("Last-Modified", date.toUTCString());
+  }
+}
+
+module.exports = { setCacheHeaders };
@@ -0,0 +1,148 @@
+// Generación de calendarios iCalendar (RFC 5545) para los partidos de G2
+const { normalizeBo, normalizeTeamName } = require("./matchKey");
+
+const PRODID = "-//G2 Esports//Match Calendar//EN";
+const UID_DOMAIN = "g2leaguehistory.online";
+
+// Aviso por defecto antes de cada partido (minutos). 0 desactiva la alarma.
+const DEFAULT_ALARM_MINUTES = Number(process.env.ICS_ALARM_MINUTES ?? 30);
+
+// Minutos reservados por partida de la serie (incluye draft y pausas)
+const MINUTES_PER_GAME = 60;
+
+// 20250620T180000Z
+function formatDate(d) {
+  return d.toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
+}
+
+// Escapa un valor TEXT: barra invertida, ";", "," y saltos de línea (3.3.11)
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Pliega una línea en trozos de 75 octetos como máximo (3.1). No corta
+// caracteres multibyte por la mitad.
+function foldLine(line) {
+  const out = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Las líneas de continuación empiezan con un espacio, que también cuenta
+    const limit = out.length ? 74 : 75;
+    if (bytes + size > limit) {
+      out.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+// Duración estimada a partir del formato: BO1 → 60 min, BO3 → 180, BO5 → 300
+function estimateDurationMinutes(bo) {
+  const games = Number((normalizeBo(bo) || "bo1").slice(2)) || 1;
+  return games * MINUTES_PER_GAME;
+}
+
+// Devuelve { g2, opponent } según en qué lado aparezca G2
+function splitTeams(match) {
+  if (normalizeTeamName(match.team2) === "g2") {
+    return { g2: match.team2, opponent: match.team1 };
+  }
+  return { g2: match.team1, opponent: match.team2 };
+}
+
+// Propiedades del VEVENT de un partido, o null si no tiene una fecha válida.
+//  - now: DTSTAMP
+//  - alarmMinutes: aviso antes del inicio (0 o null para no incluir VALARM)
+function buildEvent(match, { now = new Date(), alarmMinutes = DEFAULT_ALARM_MINUTES } = {}) {
+  const start = new Date(match.date);
+  if (!match.date || isNaN(start)) return null;
+  const end = new Date(
+    start.getTime() + estimateDurationMinutes(match.bo) * 60 * 1000
+  );
+
+  const { opponent } = splitTeams(match);
+  const tournament = match.tournament_name || "Match";
+  const stream = match.streams_twitch || match.streams_youtube || null;
+  const bo = normalizeBo(match.bo);
+
+  const description = [
+    bo ? `Best of ${bo.slice(2)}.` : null,
+    match.score ? `Final score: ${match.score}.` : null,
+    stream ? `Watch live on: ${stream}` : null,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${match.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDate(now)}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(`G2 vs ${opponent} (${tournament})`)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (stream) lines.push(`URL:${stream}`);
+  lines.push(
+    "LOCATION:Online",
+    "STATUS:CONFIRMED",
+    `SEQUENCE:${Number(match.sequence) || 0}`,
+    "TRANSP:OPAQUE"
+  );
+
+  if (alarmMinutes > 0) {
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(`G2 vs ${opponent}`)}`,
+      `TRIGGER:-PT${Math.round(alarmMinutes)}M`,
+      "END:VALARM"
+    );
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// Envuelve los VEVENT en un VCALENDAR ya plegado y con CRLF.
+//  - name: X-WR-CALNAME para calendarios suscritos
+//  - refreshMinutes: cada cuánto debe volver a descargarlo la app
+function buildCalendar(events, { name, refreshMinutes } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `PRODID:${PRODID}`,
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`, "X-WR-TIMEZONE:UTC");
+  }
+  if (refreshMinutes) {
+    lines.push(
+      `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+      `X-PUBLISHED-TTL:PT${refreshMinutes}M`
+    );
+  }
+  lines.push(...events.flat(), "END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  DEFAULT_ALARM_MINUTES,
+  escapeText,
+  foldLine,
+  estimateDurationMinutes,
+  buildEvent,
+  buildCalendar,
+};
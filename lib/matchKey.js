@@ -0,0 +1,121 @@
+// Identidad canónica de partidos, independiente de la fuente (Liquipedia, dpm.lol)
+
+// Sufijos y prefijos que no aportan nada para identificar a un equipo
+const NOISE_WORDS = new Set(["team", "esports", "esport", "gaming", "club"]);
+
+// Abreviaturas y nombres alternativos → nombre normalizado
+const TEAM_ALIASES = {
+  g2: "g2",
+  fnc: "fnatic",
+  kc: "karmine corp",
+  kcorp: "karmine corp",
+  vit: "vitality",
+  th: "heretics",
+  sk: "sk",
+  bds: "bds",
+  gx: "giantx",
+  rge: "rogue",
+  mkoi: "movistar koi",
+  "mad lions koi": "movistar koi",
+  mdk: "movistar koi",
+  navi: "natus vincere",
+  nav: "natus vincere",
+  sht: "shifters",
+  t1: "t1",
+  gen: "gen g",
+  hle: "hanwha life",
+  blg: "bilibili",
+  tes: "top",
+  jdg: "jd",
+  fly: "flyquest",
+  tl: "liquid",
+};
+
+// Posibles formatos de serie: "Bo3", "BO5", "bo1"...
+function normalizeBo(bo) {
+  const m = String(bo || "").match(/bo\s*(\d)/i);
+  return m ? `bo${m[1]}` : null;
+}
+
+// Minúsculas, sin tildes y con cualquier separador como un espacio
+function plainText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// "G2 Esports" → "g2", "Team Vitality" → "vitality", "FNC" → "fnatic"
+function normalizeTeamName(name) {
+  const base = plainText(name);
+  if (TEAM_ALIASES[base]) return TEAM_ALIASES[base];
+
+  const words = base.split(" ").filter((w) => w && !NOISE_WORDS.has(w));
+  const stripped = words.join(" ") || base;
+  return TEAM_ALIASES[stripped] || stripped;
+}
+
+function slug(text) {
+  return text.replace(/\s+/g, "-");
+}
+
+// "2025-06-20T18:00:00.000Z" → "20250620T1800Z"
+function compactUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").slice(0, 13) + "Z";
+}
+
+// Clave canónica: equipos normalizados (en orden alfabético), hora UTC y formato.
+// Ejemplo: "fnatic-g2-20250620T1800Z-bo5"
+function canonicalMatchKey({ team1, team2, start, bo }) {
+  const teams = [normalizeTeamName(team1), normalizeTeamName(team2)]
+    .map(slug)
+    .sort();
+  const when =
+    start instanceof Date && !isNaN(start) ? compactUtc(start) : "tbd";
+  return [...teams, when, normalizeBo(bo) || "bo-"].join("-");
+}
+
+const hasStart = (m) => m.start instanceof Date && !isNaN(m.start);
+
+// Ventana en la que dos registros de los mismos equipos se consideran el mismo
+// partido (cubre diferencias entre fuentes y cambios de horario)
+const SAME_MATCH_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+// ¿Describen a y b el mismo partido real? Ambos con { team1, team2, start, bo }
+function isSameMatch(a, b) {
+  const teamsA = [normalizeTeamName(a.team1), normalizeTeamName(a.team2)].sort();
+  const teamsB = [normalizeTeamName(b.team1), normalizeTeamName(b.team2)].sort();
+  if (teamsA[0] !== teamsB[0] || teamsA[1] !== teamsB[1]) return false;
+
+  const boA = normalizeBo(a.bo);
+  const boB = normalizeBo(b.bo);
+  if (boA && boB && boA !== boB) return false;
+
+  if (!hasStart(a) || !hasStart(b)) return false;
+  return Math.abs(a.start - b.start) <= SAME_MATCH_WINDOW_MS;
+}
+
+// ¿Es "undated" (un partido aún sin fecha, "TBD") la versión anterior de
+// "match"? Sin hora no hay ventana que comparar: tienen que coincidir los
+// equipos, el formato y el torneo, y "match" ya debe tener fecha.
+// Ambos con { team1, team2, bo, start, tournament }
+function isUndatedVersion(undated, match) {
+  if (hasStart(undated) || !hasStart(match)) return false;
+  const teamsA = [normalizeTeamName(undated.team1), normalizeTeamName(undated.team2)].sort();
+  const teamsB = [normalizeTeamName(match.team1), normalizeTeamName(match.team2)].sort();
+  if (teamsA[0] !== teamsB[0] || teamsA[1] !== teamsB[1]) return false;
+  if (normalizeBo(undated.bo) !== normalizeBo(match.bo)) return false;
+  const tournament = plainText(undated.tournament);
+  return Boolean(tournament) && tournament === plainText(match.tournament);
+}
+
+module.exports = {
+  normalizeBo,
+  normalizeTeamName,
+  canonicalMatchKey,
+  isSameMatch,
+  isUndatedVersion,
+};
@@ -0,0 +1,438 @@
+// Acceso a datos de partidos (matches_upcoming, matches_history y alias).
+// Es la única puerta a esas tablas: las rutas leen de aquí y las
+// sincronizaciones escriben a través de write(), que invalida la caché.
+const { canonicalMatchKey, isSameMatch, isUndatedVersion } = require("./matchKey");
+const { parseSourceDate } = require("./dates");
+const { createCache } = require("./cache");
+const { likePattern } = require("./sql");
+
+const UPCOMING_COLUMNS = [
+  "id",
+  "team1",
+  "team1Logo",
+  "team2",
+  "team2Logo",
+  "bo",
+  "date",
+  "date_raw",
+  "streams_twitch",
+  "streams_youtube",
+  "tournament_name",
+  "tournament_url",
+  "tournament_logo",
+];
+
+const HISTORY_COLUMNS = [
+  "id",
+  "team1",
+  "team1Logo",
+  "team2",
+  "team2Logo",
+  "bo",
+  "date",
+  "date_raw",
+  "score",
+  "winner",
+  "source",
+  "tournament_name",
+  "tournament_url",
+  "tournament_logo",
+];
+
+// Devuelve el equipo ganador a partir de un marcador "3-1", o null si no se sabe
+function winnerFromScore(team1, team2, score) {
+  const m = (score || "").match(/^(\d+)-(\d+)$/);
+  if (!m) return null;
+  const [a, b] = [Number(m[1]), Number(m[2])];
+  if (a === b) return null;
+  return a > b ? team1 : team2;
+}
+
+// Inserta o actualiza un partido en matches_upcoming (sin borrar el resto).
+// Los campos que la fuente no trae (p. ej. streams en dpm.lol) se conservan.
+function upsertUpcomingStatement(match) {
+  const updates = UPCOMING_COLUMNS.filter((c) => c !== "id")
+    .map((c) => `${c} = COALESCE(excluded.${c}, matches_upcoming.${c})`)
+    .join(", ");
+  return {
+    sql: `INSERT INTO matches_upcoming (${UPCOMING_COLUMNS.join(", ")})
+          VALUES (${UPCOMING_COLUMNS.map(() => "?").join(", ")})
+          ON CONFLICT(id) DO UPDATE SET
+            sequence = CASE
+              WHEN excluded.date IS NOT NULL
+                   AND excluded.date IS NOT matches_upcoming.date
+              THEN matches_upcoming.sequence + 1
+              ELSE matches_upcoming.sequence END,
+            ${updates}`,
+    args: UPCOMING_COLUMNS.map((c) => match[c] ?? null),
+  };
+}
+
+// Inserta o actualiza un partido terminado en matches_history.
+// Un marcador ya conocido no se pisa con uno vacío.
+function upsertHistoryStatement(match) {
+  return {
+    sql: `INSERT INTO matches_history (${HISTORY_COLUMNS.join(", ")})
+          VALUES (${HISTORY_COLUMNS.map(() => "?").join(", ")})
+          ON CONFLICT(id) DO UPDATE SET
+            score = COALESCE(excluded.score, matches_history.score),
+            winner = COALESCE(excluded.winner, matches_history.winner),
+            source = CASE WHEN excluded.score IS NOT NULL
+                          THEN excluded.source ELSE matches_history.source END,
+            team1Logo = COALESCE(excluded.team1Logo, matches_history.team1Logo),
+            team2Logo = COALESCE(excluded.team2Logo, matches_history.team2Logo),
+            bo = COALESCE(excluded.bo, matches_history.bo),
+            tournament_name = COALESCE(excluded.tournament_name, matches_history.tournament_name),
+            tournament_url = COALESCE(excluded.tournament_url, matches_history.tournament_url),
+            tournament_logo = COALESCE(excluded.tournament_logo, matches_history.tournament_logo)`,
+    args: HISTORY_COLUMNS.map((c) => match[c] ?? null),
+  };
+}
+
+// Asigna a cada partido scrapeado el id de la fila que ya lo representa
+// (por alias de la fuente, por clave canónica o por equipos + hora cercana).
+// Un partido que acaba de recibir fecha hereda el id (y los alias) de su fila
+// "TBD", para que /calendar/:id siga funcionando a quien ya lo tenía.
+// Si no existe, el id es la clave canónica. Un mismo partido real = una fila.
+function reconcileMatches(index, matches) {
+  const byId = (id) => id && index.rows.find((r) => r.id === id);
+  const keys = matches.map(canonicalMatchKey);
+  const direct = matches.map(
+    (m, i) => byId(index.aliases.get(m.sourceId)) || byId(m.sourceId) || byId(keys[i])
+  );
+  // Filas sin fecha que la fuente sigue listando tal cual: no las hereda nadie
+  const claimed = new Set(direct.filter(Boolean).map((r) => r.id));
+
+  const out = [];
+  const seen = new Set();
+  for (const [i, m] of matches.entries()) {
+    const key = keys[i];
+    let existing =
+      direct[i] ||
+      index.rows.find((r) => isSameMatch(r, m)) ||
+      index.rows.find(
+        (r) =>
+          !r.archived &&
+          !claimed.has(r.id) &&
+          isUndatedVersion(r, { ...m, tournament: tournamentName(m) })
+      );
+
+    if (!existing) {
+      existing = { ...m, id: key, tournament: tournamentName(m), archived: false };
+      index.rows.push(existing);
+    }
+    claimed.add(existing.id);
+    // La fuente lista dos veces el mismo partido: nos quedamos con el primero
+    if (seen.has(existing.id)) continue;
+    seen.add(existing.id);
+
+    out.push({ ...m, id: existing.id, key, archived: existing.archived });
+  }
+  return out;
+}
+
+// Liquipedia trae { tournament: { name } } y dpm.lol tournament_name
+function tournamentName(m) {
+  return m.tournament?.name ?? m.tournament_name ?? null;
+}
+
+// Registra el id de la fuente y la clave canónica como alias del partido
+function aliasStatements(match, source) {
+  return [...new Set([match.sourceId, match.key])]
+    .filter((alias) => alias && alias !== match.id)
+    .map((alias) => ({
+      sql: `INSERT INTO match_aliases (alias, match_id, source) VALUES (?, ?, ?)
+            ON CONFLICT(alias) DO UPDATE SET match_id = excluded.match_id`,
+      args: [alias, match.id, alias === match.key ? "canonical" : source],
+    }));
+}
+
+// Mueve al historial los partidos de matches_upcoming que ya no aparecen en
+// la fuente (se han jugado) y los elimina de la tabla de próximos partidos.
+// Solo los que ya han empezado: una página a medias no debe archivar partidos
+// futuros, ni los que solo conoce otra fuente. Los que no tienen fecha nunca
+// van al historial (no se sabe si se jugaron); se quitan de próximos solo si
+// esta fuente los había listado antes.
+function archiveMissingUpcomingStatements(keepIds, source, { now = new Date() } = {}) {
+  const placeholders = keepIds.map(() => "?").join(", ");
+  const copyColumns = HISTORY_COLUMNS.filter(
+    (c) => !["score", "winner", "source"].includes(c)
+  );
+  const missing = `id NOT IN (${placeholders})`;
+  return [
+    {
+      sql: `INSERT INTO matches_history (${copyColumns.join(", ")}, sequence, source)
+            SELECT ${copyColumns.join(", ")}, sequence, ? FROM matches_upcoming
+            WHERE ${missing} AND date <= ?
+            ON CONFLICT(id) DO NOTHING`,
+      args: [source, ...keepIds, now.toISOString()],
+    },
+    {
+      sql: `DELETE FROM matches_upcoming
+            WHERE ${missing}
+              AND (date <= ? OR (date IS NULL AND id IN (
+                SELECT match_id FROM match_aliases WHERE source = ?)))`,
+      args: [...keepIds, now.toISOString(), source],
+    },
+  ];
+}
+
+// Carga los partidos guardados y sus alias para reconciliar una sincronización
+async function loadMatchIndex(db) {
+  const [upcoming, history, aliases] = await db.batch(
+    [
+      "SELECT id, team1, team2, bo, date, tournament_name FROM matches_upcoming",
+      "SELECT id, team1, team2, bo, date, tournament_name FROM matches_history",
+      "SELECT alias, match_id FROM match_aliases",
+    ],
+    "read"
+  );
+  const toEntry = (archived) => (r) => ({
+    id: r.id,
+    team1: r.team1,
+    team2: r.team2,
+    bo: r.bo,
+    start: parseSourceDate(r.date),
+    tournament: r.tournament_name,
+    archived,
+  });
+  return {
+    rows: [
+      ...upcoming.rows.map(toEntry(false)),
+      ...history.rows.map(toEntry(true)),
+    ],
+    aliases: new Map(aliases.rows.map((a) => [a.alias, a.match_id])),
+  };
+}
+
+// Campos que se comparan para saber si una sincronización cambió un partido
+const DIFF_FIELDS = ["team1", "team2", "bo", "date", "score", "tournament_name"];
+
+// Foto de todos los partidos (próximos y jugados) para calcular qué cambia
+// en una sincronización: Map id → { state: "upcoming" | "played", ...campos }
+async function loadMatchSnapshot(db) {
+  const columns = DIFF_FIELDS.filter((c) => c !== "score").join(", ");
+  const [upcoming, history] = await db.batch(
+    [
+      `SELECT id, ${columns} FROM matches_upcoming`,
+      `SELECT id, ${columns}, score FROM matches_history`,
+    ],
+    "read"
+  );
+  const snapshot = new Map();
+  for (const r of history.rows) snapshot.set(r.id, { ...r, state: "played" });
+  for (const r of upcoming.rows) snapshot.set(r.id, { ...r, score: null, state: "upcoming" });
+  return snapshot;
+}
+
+// Diferencias entre dos fotos de loadMatchSnapshot:
+//  - added: partidos que no existían
+//  - updated: partidos con algún campo de DIFF_FIELDS distinto (p. ej. hora)
+//  - removed: partidos que dejan de estar en próximos (jugados o retirados)
+function diffMatches(before, after) {
+  const changes = [];
+  for (const [id, now] of after) {
+    const prev = before.get(id);
+    if (!prev) {
+      changes.push({
+        id,
+        change: "added",
+        team1: now.team1,
+        team2: now.team2,
+        date: now.date,
+      });
+      continue;
+    }
+    if (prev.state === "upcoming" && now.state === "played") {
+      changes.push({ id, change: "removed", score: now.score ?? null });
+      continue;
+    }
+    const fields = {};
+    for (const f of DIFF_FIELDS) {
+      if ((prev[f] ?? null) !== (now[f] ?? null)) {
+        fields[f] = { from: prev[f] ?? null, to: now[f] ?? null };
+      }
+    }
+    if (Object.keys(fields).length) changes.push({ id, change: "updated", fields });
+  }
+  for (const [id, prev] of before) {
+    if (!after.has(id) && prev.state === "upcoming") {
+      changes.push({ id, change: "removed", score: null });
+    }
+  }
+
+  const count = (type) => changes.filter((c) => c.change === type).length;
+  return {
+    added: count("added"),
+    updated: count("updated"),
+    removed: count("removed"),
+    changes,
+  };
+}
+
+// Filtros comunes de rival y torneo
+function matchFilters({ opponent, tournament } = {}) {
+  const where = [];
+  const args = [];
+  if (opponent) {
+    where.push("(team1 LIKE ? ESCAPE '\\' OR team2 LIKE ? ESCAPE '\\')");
+    args.push(likePattern(opponent), likePattern(opponent));
+  }
+  if (tournament) {
+    where.push("tournament_name LIKE ? ESCAPE '\\'");
+    args.push(likePattern(tournament));
+  }
+  return { where, args };
+}
+
+// cache: la caché compartida (lib/cache.js); todo lo que guarda este
+// repositorio lleva el tag "matches" y se invalida en cada escritura
+function createMatchesRepository(db, { cache = createCache(), ttl = 60 * 60 * 1000 } = {}) {
+  function invalidate() {
+    cache.invalidateTags("matches");
+  }
+
+  async function listUpcoming() {
+    return cache.wrap(
+      "matches:upcoming",
+      async () => {
+        const result = await db.execute(
+          "SELECT * FROM matches_upcoming ORDER BY date IS NULL, date"
+        );
+        return result.rows;
+      },
+      { ttl }
+    );
+  }
+
+  async function resolveAlias(id) {
+    const result = await db.execute(
+      "SELECT match_id FROM match_aliases WHERE alias = ?",
+      [id]
+    );
+    return result.rows[0]?.match_id || null;
+  }
+
+  // Busca un partido (próximo o ya jugado) por su id o por cualquier alias
+  async function findById(id) {
+    const find = async (matchId) => {
+      const hit = (await listUpcoming()).find((m) => m.id === matchId);
+      if (hit) return hit;
+      const result = await db.execute(
+        "SELECT * FROM matches_history WHERE id = ?",
+        [matchId]
+      );
+      return result.rows[0] || null;
+    };
+    const match = await find(id);
+    if (match) return match;
+    const matchId = await resolveAlias(id);
+    return matchId ? find(matchId) : null;
+  }
+
+  // Página del historial. from/to son ISO UTC (to excluido).
+  async function listHistory({ from, to, opponent, tournament, limit, offset }) {
+    const { where, args } = matchFilters({ opponent, tournament });
+    if (from) {
+      where.push("date >= ?");
+      args.push(from);
+    }
+    if (to) {
+      where.push("date < ?");
+      args.push(to);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const [count, page] = await db.batch(
+      [
+        { sql: `SELECT COUNT(*) AS total FROM matches_history ${whereSql}`, args },
+        {
+          sql: `SELECT * FROM matches_history ${whereSql}
+                ORDER BY date DESC LIMIT ? OFFSET ?`,
+          args: [...args, limit, offset],
+        },
+      ],
+      "read"
+    );
+    return { total: Number(count.rows[0].total), rows: page.rows };
+  }
+
+  // Próximos partidos y jugados desde "since" (ISO UTC), en orden cronológico
+  async function listForCalendar({ opponent, tournament, since }) {
+    const { where, args } = matchFilters({ opponent, tournament });
+    where.unshift("date IS NOT NULL");
+    const [upcomingRows, history] = await db.batch(
+      [
+        {
+          sql: `SELECT * FROM matches_upcoming WHERE ${where.join(" AND ")}`,
+          args,
+        },
+        {
+          sql: `SELECT * FROM matches_history
+                WHERE ${where.join(" AND ")} AND date >= ?`,
+          args: [...args, since],
+        },
+      ],
+      "read"
+    );
+    return [...history.rows, ...upcomingRows.rows].sort((a, b) =>
+      a.date.localeCompare(b.date)
+    );
+  }
+
+  // Partidos guardados (próximos y jugados) con fecha en [from, to);
+  // sin "to" cuenta todos los posteriores a from
+  async function countBetween(from, to) {
+    const range = to ? "date >= ? AND date < ?" : "date >= ?";
+    const args = to ? [from, to] : [from];
+    const result = await db.execute(
+      `SELECT (SELECT COUNT(*) FROM matches_upcoming WHERE ${range})
+            + (SELECT COUNT(*) FROM matches_history WHERE ${range}) AS total`,
+      [...args, ...args]
+    );
+    return Number(result.rows[0].total);
+  }
+
+  // Las sincronizaciones escriben de una en una: cada una reconcilia con lo
+  // que dejó la anterior, y las fotos de antes y después solo difieren en lo
+  // que ha escrito ella, aunque Liquipedia y dpm.lol terminen a la vez
+  let writing = Promise.resolve();
+
+  // build(index) recibe los partidos guardados (loadMatchIndex) y devuelve
+  // las sentencias de la sincronización, que se ejecutan en una transacción.
+  // Devuelve lo que ha cambiado (diffMatches)
+  function write(build) {
+    const run = writing.then(async () => {
+      const before = await loadMatchSnapshot(db);
+      const statements = await build(await loadMatchIndex(db));
+      if (statements.length) {
+        await db.batch(statements, "write");
+        invalidate();
+      }
+      return diffMatches(before, await loadMatchSnapshot(db));
+    });
+    writing = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    listUpcoming,
+    findById,
+    listHistory,
+    listForCalendar,
+    countBetween,
+    write,
+    invalidate,
+  };
+}
+
+module.exports = {
+  createMatchesRepository,
+  winnerFromScore,
+  upsertUpcomingStatement,
+  upsertHistoryStatement,
+  reconcileMatches,
+  aliasStatements,
+  archiveMissingUpcomingStatements,
+  diffMatches,
+};
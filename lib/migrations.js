@@ -0,0 +1,98 @@
+// Migraciones de la BD: ficheros versionados en migrations/ que se aplican
+// una sola vez, en orden, y quedan apuntados en schema_migrations.
+//
+//   migrations/001_base_schema.sql   → sentencias SQL separadas por ";",
+//                                      en una única transacción
+//   migrations/002_matches.js        → module.exports = { up: async (db) => {} }
+//                                      para pasos condicionales o de datos;
+//                                      deben poder repetirse sin romper nada
+//
+// Las primeras migraciones usan IF NOT EXISTS porque la BD de producción ya
+// tenía esas tablas antes de existir este sistema.
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+// Lista ordenada de migraciones de un directorio
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => {
+      const m = file.match(/^(\d+)_([\w-]+)\.(sql|js)$/);
+      return m && { version: Number(m[1]), name: m[2], type: m[3], file: path.join(dir, file) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Versión de migración repetida: ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+// Separa un fichero .sql en sentencias (sin los comentarios "--")
+function splitStatements(sql) {
+  return sql
+    .split("\n")
+    .filter((line) => !line.trim().startsWith("--"))
+    .join("\n")
+    .split(/;\s*$/m)
+    .map((statement) => statement.trim())
+    .filter(Boolean);
+}
+
+// Para migraciones .js: SQLite no tiene ADD COLUMN IF NOT EXISTS
+async function addColumnIfMissing(db, table, column, definition) {
+  const info = await db.execute(`PRAGMA table_info(${table})`);
+  if (!info.rows.some((c) => c.name === column)) {
+    await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Aplica las migraciones pendientes (hasta la versión "to", si se indica) y
+// devuelve las que se han aplicado
+async function runMigrations(db, { dir = MIGRATIONS_DIR, to = Infinity, log = console.log } = {}) {
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name TEXT NOT NULL,
+       applied_at TEXT NOT NULL
+     )`
+  );
+  const done = await db.execute("SELECT version FROM schema_migrations");
+  const applied = new Set(done.rows.map((r) => Number(r.version)));
+
+  const pending = loadMigrations(dir).filter(
+    (m) => !applied.has(m.version) && m.version <= to
+  );
+  for (const migration of pending) {
+    const record = {
+      sql: "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)",
+      args: [migration.version, migration.name, new Date().toISOString()],
+    };
+    try {
+      if (migration.type === "sql") {
+        const statements = splitStatements(fs.readFileSync(migration.file, "utf8"));
+        await db.batch([...statements, record], "write");
+      } else {
+        await require(migration.file).up(db);
+        await db.execute(record);
+      }
+    } catch (err) {
+      throw new Error(`Migración ${path.basename(migration.file)} fallida: ${err.message}`);
+    }
+    log(`Migración aplicada: ${path.basename(migration.file)}`);
+  }
+  return pending;
+}
+
+module.exports = {
+  runMigrations,
+  loadMigrations,
+  splitStatements,
+  addColumnIfMissing,
+  MIGRATIONS_DIR,
+};
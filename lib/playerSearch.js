@@ -0,0 +1,86 @@
+// Búsqueda aproximada de jugadores por nickname, alias antiguo o nombre real.
+// Funciones puras: el repositorio les pasa los candidatos ya cargados.
+
+// "Hans Sama" → "hanssama", "Perković" → "perkovic". Es la clave con la que
+// se comparan nicknames y alias (sin mayúsculas, tildes ni separadores)
+function nicknameKey(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+// Distancia de edición (inserciones, borrados y sustituciones)
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Parecido entre 0 y 1 de dos claves ya normalizadas: igual 1, empieza por
+// la búsqueda 0.9, la contiene 0.75 y si no, según la distancia de edición
+function similarity(query, target) {
+  if (!query || !target) return 0;
+  if (query === target) return 1;
+  if (target.startsWith(query)) return 0.9;
+  if (target.includes(query)) return 0.75;
+  const distance = levenshtein(query, target);
+  return Math.max(0, 1 - distance / Math.max(query.length, target.length)) * 0.7;
+}
+
+// Por debajo de esto no se sugiere (≈ la mitad de letras distintas)
+const MIN_SCORE = 0.35;
+
+// candidates: [{ id, nickname, real_name, aliases: [] }]. Devuelve las mejores
+// sugerencias con la puntuación y por qué coinciden (nickname, alias o
+// real_name), de más a menos parecida
+function rankSuggestions(candidates, query, { limit = 5 } = {}) {
+  const q = nicknameKey(query);
+  if (!q) return [];
+
+  const suggestions = [];
+  for (const player of candidates) {
+    const fields = [
+      ["nickname", player.nickname],
+      ...(player.aliases || []).map((alias) => ["alias", alias]),
+      ["real_name", player.real_name],
+    ];
+    let best = null;
+    for (const [matched, text] of fields) {
+      if (!text) continue;
+      // El nombre real se compara también palabra a palabra ("winther")
+      const keys =
+        matched === "real_name"
+          ? [nicknameKey(text), ...String(text).split(/\s+/).map(nicknameKey)]
+          : [nicknameKey(text)];
+      const score = Math.max(...keys.map((key) => similarity(q, key)));
+      if (!best || score > best.score) best = { score, matched, matched_value: text };
+    }
+    if (best && best.score >= MIN_SCORE) {
+      suggestions.push({
+        id: player.id,
+        nickname: player.nickname,
+        score: Math.round(best.score * 100) / 100,
+        matched: best.matched,
+        matched_value: best.matched_value,
+      });
+    }
+  }
+
+  return suggestions
+    .sort((a, b) => b.score - a.score || a.nickname.localeCompare(b.nickname))
+    .slice(0, limit);
+}
+
+module.exports = { nicknameKey, similarity, rankSuggestions };
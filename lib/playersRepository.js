@@ -0,0 +1,541 @@
+// Jugadores y su paso por G2. Cada temporada es una fila de player_seasons
+// (jugador, año, split, rol y si era titular); "years" se sigue devolviendo
+// como texto "2019,2020" para no romper a quien ya lo usaba.
+//
+// "Activo" es quien tiene temporada en el último año con datos, es decir,
+// la plantilla actual.
+//
+// Los nicknames se buscan por nicknameKey (sin mayúsculas ni tildes) y
+// también por sus alias: nombres anteriores, que se guardan solos al
+// renombrar a un jugador.
+const { nicknameKey } = require("./playerSearch");
+const { likePattern } = require("./sql");
+
+const ROLES = ["top", "jungle", "mid", "bot", "support", "coach"];
+// Orden dentro de un año; split null es el año completo y va primero
+const SPLITS = ["winter", "spring", "summer"];
+
+const splitOrder = `CASE LOWER(s.split) ${SPLITS.map((r, i) => `WHEN '${r}' THEN ${i + 1}`).join(" ")}
+  ELSE 0 END`;
+
+// Sin p.*: players.years es la columna antigua, que ya no se lee
+const SELECT_PLAYERS = `
+  SELECT p.id, p.nickname, p.nickname_key, p.real_name, p.nationality,
+         (SELECT GROUP_CONCAT(year, ',') FROM (
+            SELECT DISTINCT year FROM player_seasons
+            WHERE player_id = p.id ORDER BY year)) AS years,
+         c.first_year, c.last_year,
+         COALESCE(c.last_year = (SELECT MAX(year) FROM player_seasons), 0) AS active`;
+
+const FROM_PLAYERS = `
+  FROM players p
+  LEFT JOIN (SELECT player_id, MIN(year) AS first_year, MAX(year) AS last_year
+             FROM player_seasons GROUP BY player_id) c ON c.player_id = p.id`;
+
+// Campos por los que se puede ordenar /players → columna
+const SORT_COLUMNS = {
+  id: "p.id",
+  nickname: "p.nickname COLLATE NOCASE",
+  real_name: "p.real_name COLLATE NOCASE",
+  nationality: "p.nationality COLLATE NOCASE",
+  first_year: "c.first_year",
+  last_year: "c.last_year",
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Una temporada del cuerpo de la petición; devuelve { error } o { value }
+function validateSeason(input) {
+  const season = input || {};
+  if (!/^\d{4}$/.test(String(season.year ?? ""))) {
+    return { error: "year de cada temporada debe ser un año de 4 cifras" };
+  }
+  const value = { year: Number(season.year), split: null, role: null, starter: 1 };
+
+  if (season.split != null) {
+    const split = String(season.split).toLowerCase();
+    if (!SPLITS.includes(split)) {
+      return { error: `split debe ser null o uno de: ${SPLITS.join(", ")}` };
+    }
+    value.split = capitalize(split);
+  }
+  if (season.role != null) {
+    const role = String(season.role).toLowerCase();
+    if (!ROLES.includes(role)) {
+      return { error: `role debe ser null o uno de: ${ROLES.join(", ")}` };
+    }
+    value.role = role;
+  }
+  if (season.starter !== undefined) {
+    if (typeof season.starter !== "boolean") {
+      return { error: "starter debe ser true o false" };
+    }
+    value.starter = season.starter ? 1 : 0;
+  }
+  return { value };
+}
+
+// Valida el cuerpo de POST/PUT (partial = false) o PATCH (partial = true).
+// seasons, si viene, sustituye todas las temporadas del jugador.
+// Devuelve { error } o { value } con los campos normalizados.
+function validatePlayerInput(body, { partial = false } = {}) {
+  const value = {};
+  const input = body || {};
+
+  if (input.nickname !== undefined || !partial) {
+    const nickname = typeof input.nickname === "string" ? input.nickname.trim() : "";
+    if (!nicknameKey(nickname) || nickname.length > 32) {
+      return { error: "nickname es obligatorio (máximo 32 caracteres)" };
+    }
+    value.nickname = nickname;
+  }
+  for (const field of ["real_name", "nationality"]) {
+    if (input[field] === undefined) {
+      // En un PUT lo que no viene se borra
+      if (!partial) value[field] = null;
+      continue;
+    }
+    const text = typeof input[field] === "string" ? input[field].trim() : input[field];
+    if (text !== null && (typeof text !== "string" || !text || text.length > 100)) {
+      return { error: `${field} debe ser un texto (máximo 100 caracteres) o null` };
+    }
+    value[field] = text;
+  }
+  if (input.aliases !== undefined) {
+    if (!Array.isArray(input.aliases) || input.aliases.length > 20) {
+      return { error: "aliases debe ser una lista de nombres (máximo 20)" };
+    }
+    value.aliases = [];
+    const seen = new Set();
+    for (const alias of input.aliases) {
+      const text = typeof alias === "string" ? alias.trim() : "";
+      if (!nicknameKey(text) || text.length > 32) {
+        return { error: "Cada alias debe ser un texto de hasta 32 caracteres" };
+      }
+      if (seen.has(nicknameKey(text))) continue;
+      seen.add(nicknameKey(text));
+      value.aliases.push(text);
+    }
+  }
+  if (input.seasons !== undefined || !partial) {
+    const seasons = input.seasons ?? [];
+    if (!Array.isArray(seasons) || seasons.length > 100) {
+      return { error: "seasons debe ser una lista de temporadas" };
+    }
+    value.seasons = [];
+    const seen = new Set();
+    for (const season of seasons) {
+      const { error, value: normalized } = validateSeason(season);
+      if (error) return { error };
+      const key = `${normalized.year} ${normalized.split ?? ""}`.trim();
+      if (seen.has(key)) return { error: `Temporada repetida: ${key}` };
+      seen.add(key);
+      value.seasons.push(normalized);
+    }
+  }
+  if (partial && Object.keys(value).length === 0) {
+    return { error: "No hay campos que actualizar" };
+  }
+  return { value };
+}
+
+// Valida la query de GET /players. Devuelve { error } o { value } con los
+// filtros, el orden y la página.
+function validatePlayerFilters(query) {
+  const input = query || {};
+  const value = {
+    q: input.q ? String(input.q).trim() : null,
+    nationality: input.nationality ? String(input.nationality).trim() : null,
+    role: null,
+    status: null,
+    yearFrom: null,
+    yearTo: null,
+    sort: input.sort ?? "id",
+    order: String(input.order ?? "asc").toLowerCase(),
+    limit: input.limit === undefined ? 50 : Number(input.limit),
+    offset: input.offset === undefined ? 0 : Number(input.offset),
+  };
+
+  if (input.role !== undefined) {
+    value.role = String(input.role).toLowerCase();
+    if (!ROLES.includes(value.role)) {
+      return { error: `role debe ser uno de: ${ROLES.join(", ")}` };
+    }
+  }
+  if (input.status !== undefined) {
+    if (!["active", "former"].includes(input.status)) {
+      return { error: "status debe ser active o former" };
+    }
+    value.status = input.status;
+  }
+  for (const [param, key] of [["year_from", "yearFrom"], ["year_to", "yearTo"]]) {
+    if (input[param] === undefined) continue;
+    if (!/^\d{4}$/.test(String(input[param]))) {
+      return { error: `${param} debe ser un año de 4 cifras` };
+    }
+    value[key] = Number(input[param]);
+  }
+  if (value.yearFrom && value.yearTo && value.yearFrom > value.yearTo) {
+    return { error: "year_from no puede ser posterior a year_to" };
+  }
+  if (!Object.hasOwn(SORT_COLUMNS, value.sort)) {
+    return { error: `sort debe ser uno de: ${Object.keys(SORT_COLUMNS).join(", ")}` };
+  }
+  if (!["asc", "desc"].includes(value.order)) {
+    return { error: "order debe ser asc o desc" };
+  }
+  if (!Number.isInteger(value.limit) || value.limit < 1 || value.limit > 200) {
+    return { error: "limit debe estar entre 1 y 200" };
+  }
+  if (!Number.isInteger(value.offset) || value.offset < 0) {
+    return { error: "offset debe ser un entero >= 0" };
+  }
+  return { value };
+}
+
+function toPlayer(row) {
+  const { nickname_key, ...player } = row;
+  return {
+    ...player,
+    first_year: row.first_year === null ? null : Number(row.first_year),
+    last_year: row.last_year === null ? null : Number(row.last_year),
+    active: Boolean(row.active),
+  };
+}
+
+function toSeason(row) {
+  return {
+    year: Number(row.year),
+    split: row.split,
+    role: row.role,
+    starter: Boolean(row.starter),
+  };
+}
+
+function createPlayersRepository(db) {
+  // Página de jugadores con los filtros de validatePlayerFilters
+  async function search({ q, nationality, role, status, yearFrom, yearTo, sort, order, limit, offset }) {
+    const where = [];
+    const args = [];
+    if (q) {
+      where.push("(p.nickname LIKE ? ESCAPE '\\' OR p.real_name LIKE ? ESCAPE '\\')");
+      args.push(likePattern(q), likePattern(q));
+    }
+    if (nationality) {
+      where.push("p.nationality = ? COLLATE NOCASE");
+      args.push(nationality);
+    }
+    // Rol y años en la misma temporada: role=mid&year_to=2019 es "jugó de mid
+    // hasta 2019", no "jugó de mid alguna vez y estaba antes de 2019"
+    if (role || yearFrom || yearTo) {
+      const season = ["s.player_id = p.id"];
+      if (role) {
+        season.push("s.role = ?");
+        args.push(role);
+      }
+      if (yearFrom) {
+        season.push("s.year >= ?");
+        args.push(yearFrom);
+      }
+      if (yearTo) {
+        season.push("s.year <= ?");
+        args.push(yearTo);
+      }
+      where.push(`EXISTS (SELECT 1 FROM player_seasons s WHERE ${season.join(" AND ")})`);
+    }
+    if (status) {
+      const latest = "(SELECT MAX(year) FROM player_seasons)";
+      where.push(
+        status === "active"
+          ? `c.last_year = ${latest}`
+          : `(c.last_year IS NULL OR c.last_year < ${latest})`
+      );
+    }
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const direction = order === "desc" ? "DESC" : "ASC";
+
+    const [count, page] = await db.batch(
+      [
+        { sql: `SELECT COUNT(*) AS total ${FROM_PLAYERS} ${whereSql}`, args },
+        {
+          sql: `${SELECT_PLAYERS} ${FROM_PLAYERS} ${whereSql}
+                ORDER BY ${SORT_COLUMNS[sort]} ${direction} NULLS LAST, p.id
+                LIMIT ? OFFSET ?`,
+          args: [...args, limit, offset],
+        },
+      ],
+      "read"
+    );
+    return { total: Number(count.rows[0].total), rows: page.rows.map(toPlayer) };
+  }
+
+  // Por id, nickname o alias, sin distinguir mayúsculas ni tildes, con sus
+  // temporadas. Si se encontró por un alias, matched_alias dice cuál
+  async function findByIdentifier(identifier) {
+    const key = nicknameKey(identifier);
+    const result = await db.execute(
+      `${SELECT_PLAYERS} ${FROM_PLAYERS} WHERE p.id = ? OR p.nickname_key = ?
+       ORDER BY p.id = ? DESC LIMIT 1`,
+      [identifier, key, identifier]
+    );
+    if (result.rows[0]) return withSeasons(result.rows[0]);
+
+    const alias = await db.execute(
+      "SELECT player_id, alias FROM player_aliases WHERE alias_key = ?",
+      [key]
+    );
+    if (!alias.rows[0]) return null;
+    const player = await findById(alias.rows[0].player_id);
+    return player && { ...player, matched_alias: alias.rows[0].alias };
+  }
+
+  async function findById(id) {
+    const result = await db.execute(`${SELECT_PLAYERS} ${FROM_PLAYERS} WHERE p.id = ?`, [id]);
+    return withSeasons(result.rows[0]);
+  }
+
+  async function withSeasons(player) {
+    if (!player) return null;
+
+    const [seasons, aliases] = await db.batch(
+      [
+        {
+          sql: `SELECT * FROM player_seasons s WHERE s.player_id = ?
+                ORDER BY s.year, ${splitOrder}`,
+          args: [player.id],
+        },
+        {
+          sql: "SELECT alias FROM player_aliases WHERE player_id = ? ORDER BY id",
+          args: [player.id],
+        },
+      ],
+      "read"
+    );
+    return {
+      ...toPlayer(player),
+      aliases: aliases.rows.map((r) => r.alias),
+      seasons: seasons.rows.map(toSeason),
+    };
+  }
+
+  // Plantilla de un año: titulares primero y por rol. Si un jugador estuvo
+  // en varios splits, role y starter son los del último
+  async function rosterByYear(year) {
+    const result = await db.execute(
+      `SELECT p.id, p.nickname, p.nationality, s.year, s.split, s.role, s.starter
+       FROM player_seasons s
+       JOIN players p ON p.id = s.player_id
+       WHERE s.year = ?
+       ORDER BY p.id, ${splitOrder}`,
+      [year]
+    );
+
+    const byPlayer = new Map();
+    for (const row of result.rows) {
+      const entry = byPlayer.get(row.id) || {
+        id: Number(row.id),
+        nickname: row.nickname,
+        nationality: row.nationality,
+        splits: [],
+      };
+      entry.role = row.role;
+      entry.starter = Boolean(row.starter);
+      const { split, role, starter } = toSeason(row);
+      entry.splits.push({ split, role, starter });
+      byPlayer.set(row.id, entry);
+    }
+
+    const rank = (role) => (ROLES.includes(role) ? ROLES.indexOf(role) : ROLES.length);
+    return [...byPlayer.values()].sort(
+      (a, b) =>
+        b.starter - a.starter ||
+        rank(a.role) - rank(b.role) ||
+        a.nickname.localeCompare(b.nickname)
+    );
+  }
+
+  // { id: nickname } de todos los jugadores
+  async function nicknamesById() {
+    const result = await db.execute("SELECT id, nickname FROM players");
+    return Object.fromEntries(result.rows.map((r) => [Number(r.id), r.nickname]));
+  }
+
+  // Todos los jugadores con sus alias, para rankSuggestions
+  async function searchCandidates() {
+    const result = await db.execute(
+      `SELECT p.id, p.nickname, p.real_name,
+              (SELECT json_group_array(alias) FROM player_aliases
+               WHERE player_id = p.id) AS aliases
+       FROM players p`
+    );
+    return result.rows.map((r) => ({
+      id: Number(r.id),
+      nickname: r.nickname,
+      real_name: r.real_name,
+      aliases: JSON.parse(r.aliases),
+    }));
+  }
+
+  // ¿Es ese nickname (sin distinguir mayúsculas ni tildes) el nickname o un
+  // alias de otro jugador distinto de exceptId? Si fuera un alias, el alias
+  // dejaría de encontrarse. El índice único de nickname_key cubre las altas
+  // simultáneas; esto da el error legible
+  async function nicknameTaken(nickname, exceptId = null) {
+    const key = nicknameKey(nickname);
+    const result = await db.execute(
+      `SELECT 1 FROM players WHERE nickname_key = ? AND id IS NOT ?
+       UNION ALL
+       SELECT 1 FROM player_aliases WHERE alias_key = ? AND player_id IS NOT ?`,
+      [key, exceptId, key, exceptId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Primer alias que ya es el nickname o un alias de otro jugador, o null
+  async function aliasTaken(aliases, exceptId = null) {
+    for (const alias of aliases) {
+      const key = nicknameKey(alias);
+      const result = await db.execute(
+        `SELECT 1 FROM players WHERE nickname_key = ? AND id IS NOT ?
+         UNION ALL
+         SELECT 1 FROM player_aliases WHERE alias_key = ? AND player_id IS NOT ?`,
+        [key, exceptId, key, exceptId]
+      );
+      if (result.rows.length) return alias;
+    }
+    return null;
+  }
+
+  // Sentencias que sustituyen los alias de un jugador (mismos parámetros
+  // que replaceSeasons)
+  function replaceAliases(playerSql, playerArgs, aliases) {
+    return [
+      { sql: `DELETE FROM player_aliases WHERE player_id = ${playerSql}`, args: playerArgs },
+      ...aliases.map((alias) => ({
+        sql: `INSERT INTO player_aliases (player_id, alias, alias_key)
+              VALUES (${playerSql}, ?, ?)`,
+        args: [...playerArgs, alias, nicknameKey(alias)],
+      })),
+    ];
+  }
+
+  // Sentencias que sustituyen las temporadas de un jugador. playerSql es la
+  // expresión SQL de su id (un "?" o una subconsulta) y playerArgs sus args
+  function replaceSeasons(playerSql, playerArgs, seasons) {
+    return [
+      { sql: `DELETE FROM player_seasons WHERE player_id = ${playerSql}`, args: playerArgs },
+      ...seasons.map((s) => ({
+        sql: `INSERT INTO player_seasons (player_id, year, split, role, starter)
+              VALUES (${playerSql}, ?, ?, ?, ?)`,
+        args: [...playerArgs, s.year, s.split, s.role, s.starter],
+      })),
+    ];
+  }
+
+  async function create({
+    nickname,
+    real_name = null,
+    nationality = null,
+    seasons = [],
+    aliases = [],
+  }) {
+    // Jugador, temporadas y alias en la misma transacción; el nickname es único
+    const playerSql = "(SELECT id FROM players WHERE nickname = ?)";
+    const [insert] = await db.batch(
+      [
+        {
+          sql: `INSERT INTO players (nickname, nickname_key, real_name, nationality)
+                VALUES (?, ?, ?, ?)`,
+          args: [nickname, nicknameKey(nickname), real_name, nationality],
+        },
+        ...replaceSeasons(playerSql, [nickname], seasons),
+        ...replaceAliases(
+          playerSql,
+          [nickname],
+          aliases.filter((alias) => nicknameKey(alias) !== nicknameKey(nickname))
+        ),
+      ],
+      "write"
+    );
+    return findById(Number(insert.lastInsertRowid));
+  }
+
+  // null si el jugador no existe
+  async function update(id, { seasons, aliases, ...fields }) {
+    const current = await db.execute(
+      "SELECT nickname, nickname_key FROM players WHERE id = ?",
+      [id]
+    );
+    if (!current.rows.length) return null;
+    const previous = current.rows[0];
+
+    const statements = [];
+    if (fields.nickname !== undefined) fields.nickname_key = nicknameKey(fields.nickname);
+    const columns = Object.keys(fields);
+    if (columns.length) {
+      statements.push({
+        sql: `UPDATE players SET ${columns.map((c) => `${c} = ?`).join(", ")} WHERE id = ?`,
+        args: [...columns.map((c) => fields[c]), id],
+      });
+    }
+    if (seasons !== undefined) statements.push(...replaceSeasons("?", [id], seasons));
+    if (aliases !== undefined) {
+      const ownKey = fields.nickname_key ?? previous.nickname_key;
+      statements.push(
+        ...replaceAliases("?", [id], aliases.filter((alias) => nicknameKey(alias) !== ownKey))
+      );
+    }
+
+    if (fields.nickname !== undefined && fields.nickname_key !== previous.nickname_key) {
+      // El nombre anterior sigue llevando a este jugador...
+      statements.push({
+        sql: `INSERT OR IGNORE INTO player_aliases (player_id, alias, alias_key)
+              VALUES (?, ?, ?)`,
+        args: [id, previous.nickname, previous.nickname_key],
+      });
+      // ...y el nuevo deja de ser un alias si lo era (vuelta a un nombre antiguo)
+      statements.push({
+        sql: "DELETE FROM player_aliases WHERE player_id = ? AND alias_key = ?",
+        args: [id, fields.nickname_key],
+      });
+    }
+    await db.batch(statements, "write");
+    return findById(id);
+  }
+
+  // Borra el jugador y sus temporadas; sus cuentas de SoloQ quedan sin enlazar
+  async function remove(id) {
+    const results = await db.batch(
+      [
+        { sql: "DELETE FROM player_seasons WHERE player_id = ?", args: [id] },
+        { sql: "DELETE FROM player_aliases WHERE player_id = ?", args: [id] },
+        { sql: "UPDATE soloq_accounts SET player_id = NULL WHERE player_id = ?", args: [id] },
+        { sql: "DELETE FROM players WHERE id = ?", args: [id] },
+      ],
+      "write"
+    );
+    return results[3].rowsAffected > 0;
+  }
+
+  return {
+    search,
+    findByIdentifier,
+    findById,
+    rosterByYear,
+    nicknamesById,
+    searchCandidates,
+    nicknameTaken,
+    aliasTaken,
+    create,
+    update,
+    remove,
+  };
+}
+
+module.exports = {
+  createPlayersRepository,
+  validatePlayerInput,
+  validatePlayerFilters,
+  ROLES,
+  SPLITS,
+};
@@ -0,0 +1,34 @@
+// Cruza las cuentas seguidas (soloq_accounts) con las filas del leaderboard.
+// Cada cuenta sale siempre en el resultado: si no aparece en las páginas
+// recorridas viene con status "not_found" y sin tier/LP en lugar de omitirse.
+// Las filas se cruzan por Riot ID completo: otra cuenta con el mismo nombre y
+// distinto tag no cuenta.
+const { matchesRiotId } = require("./scrapers/opgg");
+
+const STATUS_RANKED = "ranked";
+const STATUS_NOT_FOUND = "not_found";
+
+// rowsByRegion: { euw: [filas de opgg], kr: [...] }
+function mergeRanking(accounts, rowsByRegion) {
+  const ranking = accounts.map((account) => {
+    const rows = rowsByRegion[account.region] || [];
+    const row = rows.find((r) => matchesRiotId(r, account.riot_id));
+    const base = {
+      account_id: account.id,
+      nickname:
+        account.player_nickname || account.game_name.replace(/^G2\s+/i, "").trim(),
+      region: account.region,
+      riot_id: account.riot_id,
+      player_id: account.player_id,
+    };
+    if (!row) {
+      return { ...base, status: STATUS_NOT_FOUND, tier: null, lp: null, rank: null };
+    }
+    return { ...base, status: STATUS_RANKED, tier: row.tier, lp: row.lp, rank: row.rank };
+  });
+
+  // Primero los clasificados por LP; los no encontrados al final
+  return ranking.sort((a, b) => (b.lp ?? -1) - (a.lp ?? -1));
+}
+
+module.exports = { mergeRanking, STATUS_RANKED, STATUS_NOT_FOUND };
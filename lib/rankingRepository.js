@@ -0,0 +1,170 @@
+// Histórico del ranking de SoloQ: cada scraping de /ranking se guarda como
+// una foto con la misma fecha (taken_at) para todas las cuentas.
+
+const PERIODS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+function toPoint(row) {
+  return {
+    taken_at: row.taken_at,
+    status: row.status,
+    tier: row.tier,
+    lp: row.lp === null ? null : Number(row.lp),
+    rank: row.rank,
+  };
+}
+
+function createRankingRepository(db) {
+  // Guarda el resultado de mergeRanking como una foto tomada en takenAt
+  async function saveSnapshot(ranking, takenAt = new Date().toISOString()) {
+    if (ranking.length === 0) return;
+    await db.batch(
+      ranking.map((r) => ({
+        sql: `INSERT INTO ranking_snapshots
+                (account_id, player_id, nickname, riot_id, region, status, tier, lp, rank, taken_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+          r.account_id ?? null,
+          r.player_id ?? null,
+          r.nickname,
+          r.riot_id,
+          r.region,
+          r.status,
+          r.tier,
+          r.lp,
+          r.rank,
+          takenAt,
+        ],
+      })),
+      "write"
+    );
+  }
+
+  // Serie de un jugador entre from y to (ISO UTC, "to" exclusivo), agrupada
+  // por cuenta porque un jugador puede tener varias.
+  // Con playerId trae todas las fotos del jugador y de sus cuentas, aunque se
+  // tomaran con otro nickname. Con nickname (cuentas sin jugador en la BD)
+  // busca por el nickname con el que se guardó la foto.
+  async function history({ playerId, nickname }, { from, to } = {}) {
+    const where = [];
+    const args = [];
+    if (playerId != null) {
+      where.push(`(player_id = ? OR account_id IN (
+        SELECT id FROM soloq_accounts WHERE player_id = ?))`);
+      args.push(playerId, playerId);
+    } else {
+      where.push(`nickname = ? COLLATE NOCASE
+        AND (player_id IS NULL OR player_id NOT IN (SELECT id FROM players))`);
+      args.push(nickname);
+    }
+    if (from) {
+      where.push("taken_at >= ?");
+      args.push(from);
+    }
+    if (to) {
+      where.push("taken_at < ?");
+      args.push(to);
+    }
+    const result = await db.execute(
+      `SELECT * FROM ranking_snapshots WHERE ${where.join(" AND ")}
+       ORDER BY taken_at`,
+      args
+    );
+
+    const accounts = new Map();
+    for (const row of result.rows) {
+      const key = `${row.riot_id}|${row.region}`;
+      if (!accounts.has(key)) {
+        accounts.set(key, { riot_id: row.riot_id, region: row.region, points: [] });
+      }
+      accounts.get(key).points.push(toPoint(row));
+    }
+    return [...accounts.values()];
+  }
+
+  // Diferencia de LP de cada cuenta entre su última foto y la última foto
+  // tomada al menos "period" antes. Sin foto tan antigua, delta es null.
+  async function changes(period = "day") {
+    const latest = await db.execute(
+      `SELECT s.* FROM ranking_snapshots s
+       WHERE s.taken_at = (
+         SELECT MAX(taken_at) FROM ranking_snapshots
+         WHERE riot_id = s.riot_id AND region = s.region
+       )`
+    );
+    if (latest.rows.length === 0) return [];
+
+    const previous = await db.batch(
+      latest.rows.map((row) => ({
+        sql: `SELECT * FROM ranking_snapshots
+              WHERE riot_id = ? AND region = ? AND taken_at <= ?
+              ORDER BY taken_at DESC LIMIT 1`,
+        args: [
+          row.riot_id,
+          row.region,
+          new Date(Date.parse(row.taken_at) - PERIODS[period]).toISOString(),
+        ],
+      })),
+      "read"
+    );
+
+    return latest.rows
+      .map((row, i) => {
+        const before = previous[i].rows[0];
+        const current = toPoint(row);
+        const baseline = before ? toPoint(before) : null;
+        return {
+          nickname: row.nickname,
+          riot_id: row.riot_id,
+          region: row.region,
+          player_id: row.player_id === null ? null : Number(row.player_id),
+          current,
+          previous: baseline,
+          delta:
+            baseline && baseline.lp !== null && current.lp !== null
+              ? current.lp - baseline.lp
+              : null,
+        };
+      })
+      .sort((a, b) => (b.delta ?? -Infinity) - (a.delta ?? -Infinity));
+  }
+
+  // Última foto, en el mismo formato que mergeRanking, o null si no hay
+  // ninguna. Es lo que sirve /ranking mientras se recalcula
+  async function latest() {
+    const result = await db.execute(
+      `SELECT * FROM ranking_snapshots
+       WHERE taken_at = (SELECT MAX(taken_at) FROM ranking_snapshots)
+       ORDER BY lp IS NULL, lp DESC, id`
+    );
+    if (result.rows.length === 0) return null;
+    return {
+      taken_at: result.rows[0].taken_at,
+      ranking: result.rows.map((row) => ({
+        account_id: row.account_id === null ? null : Number(row.account_id),
+        nickname: row.nickname,
+        region: row.region,
+        riot_id: row.riot_id,
+        player_id: row.player_id === null ? null : Number(row.player_id),
+        status: row.status,
+        tier: row.tier,
+        lp: row.lp === null ? null : Number(row.lp),
+        rank: row.rank,
+      })),
+    };
+  }
+
+  // Fecha de la última foto guardada (null si no hay ninguna)
+  async function lastTakenAt() {
+    const result = await db.execute(
+      "SELECT MAX(taken_at) AS taken_at FROM ranking_snapshots"
+    );
+    return result.rows[0].taken_at;
+  }
+
+  return { saveSnapshot, history, changes, latest, lastTakenAt };
+}
+
+module.exports = { createRankingRepository, PERIODS };
@@ -0,0 +1,68 @@
+// Límite de peticiones en memoria por ventana fija. Suficiente para una sola
+// máquina; cada instancia lleva su propia cuenta.
+//
+//   createRateLimiter({
+//     name: "ip",                 // para los logs y el mensaje de error
+//     windowMs: 60 * 1000,
+//     max: 120,                   // peticiones por ventana y cliente
+//     keyFn: (req) => req.ip,     // identidad del cliente
+//     skip: (req) => false,       // peticiones que no cuentan
+//   })
+//
+// Al pasarse responde 429 con Retry-After (segundos). Siempre añade las
+// cabeceras RateLimit-Limit, RateLimit-Remaining y RateLimit-Reset.
+
+function createRateLimiter({ name, windowMs, max, keyFn, skip = () => false, now = Date.now }) {
+  // cliente → { count, resetAt }
+  const hits = new Map();
+  let nextSweep = now() + windowMs;
+
+  // Olvida los clientes cuya ventana ya terminó
+  function sweep(t) {
+    if (t < nextSweep) return;
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= t) hits.delete(key);
+    }
+    nextSweep = t + windowMs;
+  }
+
+  function rateLimit(req, res, next) {
+    if (max <= 0 || skip(req)) return next();
+
+    const t = now();
+    sweep(t);
+    const key = keyFn(req);
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= t) {
+      entry = { count: 0, resetAt: t + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    const resetSeconds = Math.ceil((entry.resetAt - t) / 1000);
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - entry.count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+    if (entry.count > max) {
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        error: "Too Many Requests",
+        limit: name,
+        retry_after: resetSeconds,
+      });
+    }
+    next();
+  }
+
+  rateLimit.size = () => hits.size;
+  return rateLimit;
+}
+
+// Identidad de quien llama: la clave si ya está autenticada, si no la IP
+function clientKey(req) {
+  return req.apiKey ? `key:${req.apiKey.id ?? req.apiKey.label}` : `ip:${req.ip}`;
+}
+
+module.exports = { createRateLimiter, clientKey };
@@ -0,0 +1,113 @@
+// Planificador de tareas en proceso (sincronizaciones y ranking).
+//
+// Cada tarea se ejecuta cada "interval" ms (0 = solo bajo demanda). Nunca
+// hay dos ejecuciones de la misma tarea a la vez: run() durante una
+// ejecución devuelve la promesa de la que ya está en marcha, y un tick del
+// temporizador que llega en ese momento se la salta.
+
+function createScheduler({ now = () => Date.now() } = {}) {
+  const jobs = new Map();
+  let started = false;
+
+  function add(name, fn, { interval = 0 } = {}) {
+    jobs.set(name, {
+      name,
+      fn,
+      interval,
+      running: null,
+      timer: null,
+      nextRunAt: null,
+      lastRun: null,
+    });
+  }
+
+  function getJob(name) {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Tarea desconocida: ${name}`);
+    return job;
+  }
+
+  function run(name) {
+    const job = getJob(name);
+    if (job.running) return job.running;
+
+    const startedAt = now();
+    job.running = (async () => {
+      try {
+        const result = await job.fn();
+        job.lastRun = { startedAt, finishedAt: now(), outcome: "ok", result };
+        return result;
+      } catch (err) {
+        job.lastRun = {
+          startedAt,
+          finishedAt: now(),
+          outcome: "error",
+          error: err.message,
+        };
+        throw err;
+      } finally {
+        job.running = null;
+      }
+    })();
+    return job.running;
+  }
+
+  function isRunning(name) {
+    return Boolean(getJob(name).running);
+  }
+
+  function schedule(job) {
+    job.nextRunAt = now() + job.interval;
+    job.timer = setTimeout(async () => {
+      if (!job.running) {
+        try {
+          await run(job.name);
+        } catch (err) {
+          console.error(`Error en la tarea ${job.name}:`, err.message);
+        }
+      }
+      if (started) schedule(job);
+    }, job.interval);
+    // Los temporizadores no deben mantener vivo el proceso
+    job.timer.unref?.();
+  }
+
+  function start() {
+    if (started) return;
+    started = true;
+    for (const job of jobs.values()) {
+      if (job.interval > 0) schedule(job);
+    }
+  }
+
+  function stop() {
+    started = false;
+    for (const job of jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    }
+  }
+
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+  function status() {
+    return [...jobs.values()].map((job) => ({
+      name: job.name,
+      interval_ms: job.interval,
+      running: Boolean(job.running),
+      last_run: job.lastRun && {
+        started_at: iso(job.lastRun.startedAt),
+        finished_at: iso(job.lastRun.finishedAt),
+        duration_ms: job.lastRun.finishedAt - job.lastRun.startedAt,
+        outcome: job.lastRun.outcome,
+        ...(job.lastRun.error ? { error: job.lastRun.error } : {}),
+      },
+      next_run: iso(job.nextRunAt),
+    }));
+  }
+
+  return { add, run, isRunning, start, stop, status };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,139 @@
+// Un único Chromium compartido por todos los scrapers. Cada scraping obtiene
+// su propio contexto (cookies, user agent) y lo cierra al terminar, pase lo
+// que pase. El navegador se cierra solo tras un rato sin uso para liberar
+// memoria en la máquina de Fly.io.
+const fs = require("fs");
+const playwright = require("playwright");
+
+const LAUNCH_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-dev-shm-usage",
+  "--disable-accelerated-2d-canvas",
+  "--disable-gpu",
+  "--no-zygote",
+  "--single-process",
+];
+
+const DEFAULT_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) " +
+  "AppleWebKit/537.36 (KHTML, like Gecko) " +
+  "Chrome/114.0.0.0 Safari/537.36";
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+
+function createBrowserPool({
+  maxConcurrency = 1,
+  idleTimeout = 5 * 60 * 1000,
+  launch = () => playwright.chromium.launch({ headless: true, args: LAUNCH_ARGS }),
+  executablePath = () => playwright.chromium.executablePath(),
+} = {}) {
+  let browserPromise = null;
+  // Error del último lanzamiento, si falló (lo informa check)
+  let launchError = null;
+  let idleTimer = null;
+  let active = 0;
+  const waiting = [];
+
+  async function getBrowser() {
+    if (!browserPromise) {
+      browserPromise = launch().then((browser) => {
+        launchError = null;
+        // Si Chromium muere, el siguiente scraping lanza otro
+        browser.on("disconnected", () => {
+          browserPromise = null;
+        });
+        return browser;
+      });
+      // Un lanzamiento fallido no debe quedarse cacheado
+      browserPromise.catch((err) => {
+        browserPromise = null;
+        launchError = err.message;
+      });
+    }
+    return browserPromise;
+  }
+
+  // Semáforo: como mucho maxConcurrency páginas abiertas a la vez
+  function acquire() {
+    clearTimeout(idleTimer);
+    if (active < maxConcurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) return next();
+    active--;
+    if (active === 0 && idleTimeout > 0) {
+      idleTimer = setTimeout(close, idleTimeout);
+      idleTimer.unref?.();
+    }
+  }
+
+  // Ejecuta fn(page) en un contexto nuevo y lo cierra siempre al terminar
+  async function withPage(fn, { userAgent = DEFAULT_USER_AGENT, viewport = DEFAULT_VIEWPORT } = {}) {
+    await acquire();
+    let context;
+    try {
+      const browser = await getBrowser();
+      context = await browser.newContext({ userAgent, viewport });
+      const page = await context.newPage();
+      return await fn(page);
+    } finally {
+      if (context) await context.close().catch(() => {});
+      release();
+    }
+  }
+
+  // ¿Puede arrancar Chromium? Si ya está abierto basta con eso. Si no, nunca
+  // se lanza (lo llama el health check cada minuto y lo dejaría siempre
+  // abierto): se comprueba que el ejecutable existe y que el último
+  // lanzamiento no falló. El resultado se reutiliza durante maxAge.
+  let lastCheck = null;
+  async function check({ maxAge = 5 * 60 * 1000 } = {}) {
+    if (browserPromise) {
+      const browser = await browserPromise.catch(() => null);
+      if (browser && browser.isConnected()) {
+        lastCheck = { ok: true, checkedAt: Date.now() };
+        return lastCheck;
+      }
+    }
+    if (lastCheck && Date.now() - lastCheck.checkedAt < maxAge) return lastCheck;
+
+    try {
+      fs.accessSync(executablePath(), fs.constants.X_OK);
+      if (launchError) throw new Error(launchError);
+      lastCheck = { ok: true, checkedAt: Date.now() };
+    } catch (err) {
+      lastCheck = { ok: false, error: err.message, checkedAt: Date.now() };
+    }
+    return lastCheck;
+  }
+
+  async function close() {
+    clearTimeout(idleTimer);
+    const pending = browserPromise;
+    browserPromise = null;
+    if (!pending) return;
+    const browser = await pending.catch(() => null);
+    if (browser) await browser.close().catch(() => {});
+  }
+
+  return {
+    withPage,
+    check,
+    close,
+    stats: () => ({
+      running: Boolean(browserPromise),
+      active,
+      waiting: waiting.length,
+      maxConcurrency,
+    }),
+  };
+}
+
+module.exports = { createBrowserPool, DEFAULT_USER_AGENT };
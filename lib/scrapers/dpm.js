@@ -0,0 +1,190 @@
+// Partidos de G2 de la última semana (con marcador) desde dpm.lol
+const cheerio = require("cheerio");
+const { toZonedTimestamp, nowInTz } = require("../dates");
+
+const PAGE_URL = "https://dpm.lol/esport/teams/G2/all/all/all/matches";
+const ORIGIN = "https://dpm.lol";
+
+// dpm.lol muestra las horas en hora peninsular
+const TZ = "Europe/Madrid";
+
+const MONTHS = {
+  ene: 1, feb: 2, mar: 3, abr: 4, may: 5, jun: 6,
+  jul: 7, ago: 8, sep: 9, sept: 9, oct: 10, nov: 11, dic: 12,
+};
+
+const stripDiacritics = (s) =>
+  (s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+
+// Tarjetas de partido tal y como aparecen en el HTML (día, hora, equipos...)
+function parseCards(html, { origin = ORIGIN } = {}) {
+  const $ = cheerio.load(html);
+  const abs = (src) => (src ? new URL(src, origin).href : null);
+  const text = (el) => el.first().text().trim() || null;
+  const imgSrc = (img) => img.attr("src") || img.attr("data-src") || null;
+  const out = [];
+
+  $("div.flex.flex-col.w-full.gap-4").each((_, sec) => {
+    const headerEl = $(sec).find("span.font-bold.text-bl.lg\\:text-bxl.text-black-200").first();
+    if (!headerEl.length) return;
+
+    const headerText = headerEl.text().trim().toLowerCase();
+    const m = headerText.match(/(\d{1,2})\s+([a-zá]+)/i);
+    let dayNum = null, monthNum = null;
+    if (m) {
+      dayNum = parseInt(m[1], 10);
+      const monKey = stripDiacritics(m[2]).toLowerCase();
+      monthNum = MONTHS[monKey] || MONTHS[monKey.slice(0, 3)] || null;
+    }
+
+    // Contenedor de tarjetas bajo la sección
+    $(sec).find("div.flex.flex-col.gap-8 > div[data-state][id]").each((_, card) => {
+      const grid = $(card).find("div.grid.grid-cols-8.lg\\:grid-cols-12").first();
+      if (!grid.length) return;
+
+      // Hora HH:MM (dos spans)
+      const left = grid.find("div.min-w-\\[60px\\].lg\\:col-span-3").first();
+      const hh = text(left.find("span.text-bm.lg\\:text-hl.font-bold.text-black-200")) || "";
+      const mm = text(left.find("span.text-bxs.lg\\:text-bm.font-bold.text-black-200")) || "";
+
+      // Centro: equipos / logos / resultado
+      const center = grid.find("div.grid.grid-cols-11.lg\\:grid-cols-10.items-center").first();
+      if (!center.length) return;
+
+      const a1 = center.find("a:nth-of-type(1)").first();
+      const team1 = text(a1.find(".font-bold.text-bm.lg\\:text-bxl"));
+      const team1Logo = abs(imgSrc(a1.find('img[alt="Team1"]').first()));
+
+      // Resultado (puede ser "-" o "1-0", "3-1", etc.)
+      const scoreContainer = center.find("div.col-span-3.lg\\:col-span-2").first();
+      let score = "-";
+      if (scoreContainer.length) {
+        const txt = scoreContainer.text().replace(/\s+/g, "");
+        const hit = txt.match(/^\d+-\d+$/) || txt.match(/^-$/);
+        score = hit ? hit[0] : "-";
+      }
+
+      const a2 = center.find("a:nth-of-type(2)").first();
+      const team2 = text(a2.find(".font-bold.text-bm.lg\\:text-bxl"));
+      const team2Logo = abs(imgSrc(a2.find('img[alt="Team2"]').first()));
+
+      // Derecha: torneo + fase/BO + logo torneo
+      // (el bloque de la hora también es lg:col-span-3, lo excluimos)
+      const right = grid.find("div.lg\\:col-span-3").not(left).first();
+      const rightText = right.find("div.hidden.lg\\:flex.flex-col.items-end.font-semibold.text-bm").first();
+      const tournamentName = text(rightText.find("span:first-child"));
+      const phaseAndBo = text(rightText.find("span.text-black-300"));
+
+      const leagueA = right.find('a[href^="/esport/leagues/"]').first();
+      const tournamentUrl = abs(leagueA.attr("href"));
+      const tournamentLogo = abs(imgSrc(leagueA.find('img[alt="League"]').first()));
+
+      out.push({
+        dayText: headerText, dayNum, monthNum, hh, mm,
+        team1, team1Logo,
+        team2, team2Logo,
+        score,
+        phaseAndBo,
+        tournamentName,
+        tournamentUrl,
+        tournamentLogo,
+      });
+    });
+  });
+  return out;
+}
+
+// Convierte las tarjetas en partidos con hora UTC y se queda con los de los
+// últimos 7 días respecto a "now"
+function toMatches(items, { now = new Date() } = {}) {
+  const nowTz = nowInTz(TZ, now);
+  const weekAgoTz = new Date(nowTz.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const currentYear = nowTz.getFullYear();
+
+  const parsed = items
+    .map((m) => {
+      if (!m.team1 || !m.team2) return null;
+
+      const day = Number(m.dayNum) || nowTz.getDate();
+      const month = Number(m.monthNum) || nowTz.getMonth() + 1;
+      const HH = String(m.hh || "00").padStart(2, "0");
+      const MM = String(m.mm || "00").padStart(2, "0");
+
+      const ts = toZonedTimestamp(currentYear, month, day, Number(HH), Number(MM), TZ);
+      const dtMadrid = new Date(ts);
+      const dateISO = new Date(ts).toISOString(); // UTC
+
+      const boMatch = (m.phaseAndBo || "").match(/\bBO\d\b/i);
+      const bo = boMatch ? boMatch[0].toUpperCase() : null;
+
+      // Id propio de dpm.lol; se guarda como alias del partido canónico
+      const sourceId = [
+        m.team1,
+        m.team2,
+        dateISO.replace(/[-:]/g, "").slice(0, 13) + "00Z",
+        bo || "BO?"
+      ].join("-");
+
+      return {
+        sourceId,
+        start: new Date(ts),
+        dtMadrid,
+        dateISO,
+        dateRaw: `${m.dayText || ""} ${HH}:${MM} ${TZ}`.trim(),
+        team1: m.team1,
+        team1Logo: m.team1Logo,
+        team2: m.team2,
+        team2Logo: m.team2Logo,
+        bo,
+        score: m.score,
+        tournament_name: m.tournamentName,
+        tournament_url: m.tournamentUrl,
+        tournament_logo: m.tournamentLogo,
+      };
+    })
+    .filter(Boolean);
+
+  // Solo los partidos de los últimos 7 días
+  return parsed.filter((r) => r.dtMadrid >= weekAgoTz && r.dtMadrid <= nowTz);
+}
+
+// Extrae los partidos del HTML de la página de partidos de G2. Es una función
+// pura para poder probarla con HTML guardado (test/fixtures).
+function parse(html, { origin = ORIGIN, now } = {}) {
+  let items;
+  try {
+    items = parseCards(html, { origin });
+  } catch (e) {
+    console.error("Error parseando dpm.lol:", e.message);
+    throw new Error("Fallo extrayendo HTML en dpm.lol");
+  }
+  return toMatches(items, { now });
+}
+
+async function scrape(page) {
+  await page.goto(PAGE_URL, { waitUntil: "domcontentloaded", timeout: 60000 });
+
+  // Espera robusta a que haya tarjetas de partido
+  await page.waitForSelector('div[data-state][id] .grid.grid-cols-8', {
+    timeout: 60000,
+  });
+
+  return parse(await page.content(), { origin: new URL(page.url()).origin });
+}
+
+module.exports = {
+  name: "dpm.lol",
+  timeout: 120 * 1000,
+  // Partidos de la última semana
+  sanity: {
+    requiredFields: ["team1", "team2", "tournament_name"],
+    dateField: "start",
+    pastDays: 8,
+    futureDays: 1,
+  },
+  viewport: { width: 1280, height: 800 },
+  scrape,
+  parse,
+};
@@ -0,0 +1,15 @@
+// Subsistema de scraping: pool de navegador, runner y scrapers por fuente
+const { createBrowserPool } = require("./browserPool");
+const { createScraperRunner, ScraperTimeoutError } = require("./runner");
+const { checkScrapeResult } = require("./sanity");
+const liquipedia = require("./liquipedia");
+const dpm = require("./dpm");
+const opgg = require("./opgg");
+
+module.exports = {
+  createBrowserPool,
+  createScraperRunner,
+  ScraperTimeoutError,
+  checkScrapeResult,
+  scrapers: { liquipedia, dpm, opgg },
+};
@@ -0,0 +1,114 @@
+// Próximos partidos de G2 desde el panel "Upcoming Matches" de Liquipedia
+const cheerio = require("cheerio");
+const { parseSourceDate } = require("../dates");
+
+const PAGE_URL = "https://liquipedia.net/leagueoflegends/G2_Esports";
+const ORIGIN = "https://liquipedia.net";
+
+// Extrae los partidos del HTML de la página del equipo. Es una función pura
+// para poder probarla con HTML guardado (test/fixtures).
+function parse(html, { origin = ORIGIN } = {}) {
+  const $ = cheerio.load(html);
+  const abs = (href) => (href ? new URL(href, origin).href : null);
+  const text = (el) => el.first().text().trim() || null;
+
+  // Buscamos el panel por su header
+  const panel = $(".fo-nttax-infobox.panel")
+    .filter((_, p) =>
+      $(p).find(".infobox-header").first().text().trim().includes("Upcoming Matches")
+    )
+    .first();
+  if (!panel.length) return [];
+
+  const out = [];
+  panel.find("table.infobox_matches_content").each((_, table) => {
+    const teamRow = $(table).find("tr:nth-child(1)").first();
+    const infoRow = $(table).find("tr:nth-child(2)").first();
+    if (!teamRow.length || !infoRow.length) return;
+
+    // — Equipos y logos
+    const team1 = text(teamRow.find("td.team-left .team-template-text a"));
+    const team2 = text(teamRow.find("td.team-right .team-template-text a"));
+    const team1Logo = abs(
+      teamRow.find("td.team-left .team-template-image-icon img").first().attr("src")
+    );
+    const team2Logo = abs(
+      teamRow.find("td.team-right .team-template-image-icon img").first().attr("src")
+    );
+
+    // — Formato (Bo1, Bo3, Bo5…)
+    const bo = text(teamRow.find("td.versus .versus-lower abbr"));
+
+    // — Fecha (texto + abreviatura de zona, y el timestamp si lo hay)
+    const dateEl = infoRow.find(".timer-object-date").first();
+    const date = text(dateEl);
+    const timestamp =
+      infoRow.find(".timer-object").first().attr("data-timestamp") || null;
+    const tz = dateEl.find("abbr").first().attr("data-tz") || null;
+
+    // — Streams
+    const twitch = abs(infoRow.find('a[title*="twitch"]').first().attr("href"));
+    const youtube = abs(infoRow.find('a[title*="youtube"]').first().attr("href"));
+
+    // — Torneo (nombre, URL, logo)
+    const tourEl = infoRow.find(".tournament-text-flex a").first();
+    const tourName = text(tourEl);
+    const tourUrl = abs(tourEl.attr("href"));
+    const tourLogo = abs(
+      infoRow.find(".league-icon-small-image img").first().attr("src")
+    );
+
+    if (!team1 || !team2) return;
+
+    const start = parseSourceDate(date, { timestamp, tz });
+    if (date && !start) {
+      console.warn("Fecha de Liquipedia no reconocida:", date, tz);
+    }
+
+    out.push({
+      // Id propio de Liquipedia; el id definitivo es la clave canónica
+      sourceId: `${team1}-${team2}-${
+        date ? date.replace(/\s+/g, "_") : "unknown"
+      }`,
+      team1,
+      team1Logo,
+      team2,
+      team2Logo,
+      bo,
+      date,
+      start,
+      streams: { twitch, youtube },
+      tournament: { name: tourName, url: tourUrl, logo: tourLogo },
+    });
+  });
+  return out;
+}
+
+async function scrape(page) {
+  await page.goto(PAGE_URL, {
+    waitUntil: "networkidle",
+    timeout: 60000,
+  });
+
+  // Asegurarnos de que el panel "Upcoming Matches" está ya en el DOM
+  await page.waitForSelector(".fo-nttax-infobox.panel .infobox-header", {
+    timeout: 60000,
+  });
+
+  return parse(await page.content(), { origin: new URL(page.url()).origin });
+}
+
+module.exports = {
+  name: "liquipedia",
+  timeout: 120 * 1000,
+  // Solo próximos partidos: como mucho de ayer (en juego) a un año vista
+  sanity: {
+    requiredFields: ["team1", "team2", "tournament.name"],
+    dateField: "start",
+    rawDateField: "date",
+    pastDays: 1,
+    futureDays: 366,
+  },
+  scrape,
+  parse,
+};
@@ -0,0 +1,103 @@
+// Ranking de SoloQ de los jugadores de G2 desde el leaderboard de op.gg
+const cheerio = require("cheerio");
+
+const leaderboardUrl = (region, page = 1) =>
+  `https://www.op.gg/leaderboards/tier?region=${region}&type=ladder&page=${page}`;
+
+// Páginas (de ~100 jugadores) que se recorren como máximo buscando cuentas
+const MAX_PAGES = Number(process.env.OPGG_MAX_PAGES) || 10;
+
+// Todas las filas de una página del leaderboard, en el orden de la página.
+// Es una función pura para poder probarla con HTML guardado.
+function parseRows(html) {
+  const $ = cheerio.load(html);
+  const text = (el) => el.first().text().trim();
+
+  return $("tr")
+    .filter((_, row) => $(row).find("td:nth-child(2) .text-gray-900").length > 0)
+    .map((_, row) => {
+      const nicknameText = text($(row).find("td:nth-child(2) .text-gray-900"));
+      const nickname = nicknameText.replace(/^G2\s+/i, "").trim();
+
+      // El enlace al perfil trae el tag: /summoners/euw/G2%20Caps-1323
+      const href = $(row).find("td:nth-child(2) a").first().attr("href") || "";
+      const slug = decodeURIComponent(href.split("/").pop() || "");
+      const tagLine = slug.includes("-") ? slug.slice(slug.lastIndexOf("-") + 1) : null;
+
+      const tier = text($(row).find("td:nth-child(3) div.hidden")) || "Unknown";
+      const formattedTier = tier.charAt(0).toUpperCase() + tier.slice(1);
+
+      const lpText =
+        $(row).find("td:nth-child(4) div").first().text().replace(/,/g, "").trim() ||
+        "0";
+      const lp = parseInt(lpText, 10);
+
+      const rank = text($(row).find("td:nth-child(1)")) || "Unknown";
+
+      return {
+        gameName: nicknameText,
+        tagLine,
+        nickname,
+        tier: formattedTier,
+        lp,
+        rank,
+      };
+    })
+    .get();
+}
+
+// ¿Es esta fila la cuenta con ese Riot ID ("G2 Caps#1323")? Sin mayúsculas.
+// Un Riot ID sin tag (cuentas antiguas) acepta cualquier tag con ese nombre.
+function matchesRiotId(row, riotId) {
+  const [gameName, tagLine] = String(riotId).toLowerCase().split("#");
+  if (row.gameName.toLowerCase() !== gameName.trim()) return false;
+  return !tagLine || (row.tagLine || "").toLowerCase() === tagLine.trim();
+}
+
+// Filas de las cuentas buscadas (Riot IDs), de mayor a menor LP
+function parse(html, { targetRiotIds = [] } = {}) {
+  return parseRows(html)
+    .filter((row) => targetRiotIds.some((riotId) => matchesRiotId(row, riotId)))
+    .sort((a, b) => b.lp - a.lp);
+}
+
+// Recorre el leaderboard página a página hasta encontrar todas las cuentas,
+// llegar a una página vacía o agotar maxPages. Las cuentas que no aparecen
+// simplemente no vienen en el resultado.
+async function scrape(
+  page,
+  { region = "euw", targetRiotIds = [], maxPages = MAX_PAGES } = {}
+) {
+  const pending = new Set(targetRiotIds);
+  const found = [];
+
+  for (let n = 1; n <= maxPages && pending.size > 0; n++) {
+    await page.goto(leaderboardUrl(region, n), {
+      waitUntil: "domcontentloaded",
+      timeout: 30000,
+    });
+    const rows = parseRows(await page.content());
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      const riotId = [...pending].find((id) => matchesRiotId(row, id));
+      if (riotId === undefined) continue;
+      pending.delete(riotId);
+      found.push(row);
+    }
+  }
+
+  return found.sort((a, b) => b.lp - a.lp);
+}
+
+module.exports = {
+  name: "op.gg",
+  // Varias páginas por región
+  timeout: 5 * 60 * 1000,
+  userAgent:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/58.0.3029.110 Safari/537.3",
+  scrape,
+  parse,
+  parseRows,
+  matchesRiotId,
+};
@@ -0,0 +1,81 @@
+// Ejecuta scrapers sobre el pool de navegador con timeout y reintentos.
+//
+// Un scraper es un módulo con esta forma:
+//   {
+//     name: "liquipedia",
+//     timeout: 90000,          // ms por intento (opcional)
+//     retries: 2,              // reintentos tras el primer fallo (opcional)
+//     userAgent, viewport,     // opciones del contexto (opcional)
+//     scrape: async (page, input) => resultado,
+//   }
+//
+// runScraper(scraper, input) pasa "input" (opcional) a scrape. Si ya hay en
+// marcha un scraping del mismo scraper con el mismo input, se devuelve esa
+// misma promesa en lugar de abrir otra página.
+
+const DEFAULT_TIMEOUT = 90 * 1000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE = 2000;
+
+class ScraperTimeoutError extends Error {
+  constructor(name, ms) {
+    super(`El scraper ${name} superó el tiempo máximo (${ms} ms)`);
+    this.name = "ScraperTimeoutError";
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new ScraperTimeoutError(name, ms)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createScraperRunner(pool, { backoffBase = BACKOFF_BASE } = {}) {
+  const inFlight = new Map();
+
+  return function runScraper(scraper, input) {
+    const key = `${scraper.name}:${JSON.stringify(input ?? null)}`;
+    if (!inFlight.has(key)) {
+      inFlight.set(
+        key,
+        runWithRetries(scraper, input).finally(() => inFlight.delete(key))
+      );
+    }
+    return inFlight.get(key);
+  };
+
+  async function runWithRetries(scraper, input) {
+    const timeout = scraper.timeout ?? DEFAULT_TIMEOUT;
+    const retries = scraper.retries ?? DEFAULT_RETRIES;
+    const options = { userAgent: scraper.userAgent, viewport: scraper.viewport };
+
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = backoffBase * 2 ** (attempt - 1);
+        console.warn(
+          `Reintentando scraper ${scraper.name} (${attempt}/${retries}) en ${delay} ms:`,
+          lastError.message
+        );
+        await sleep(delay);
+      }
+      try {
+        // Al vencer el timeout, withPage cierra el contexto y la página
+        // pendiente se aborta
+        return await pool.withPage(
+          (page) => withTimeout(scraper.scrape(page, input), timeout, scraper.name),
+          options
+        );
+      } catch (err) {
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+}
+
+module.exports = { createScraperRunner, ScraperTimeoutError };
@@ -0,0 +1,70 @@
+// Comprobaciones sobre la salida de un scraper antes de tocar la BD. Si la
+// web cambia de maquetación el scraper suele devolver [] o filas a medias, y
+// eso no debe borrar ni pisar los datos buenos que ya tenemos.
+//
+// Cada scraper declara sus reglas en "sanity":
+//   {
+//     requiredFields: ["team1", "tournament.name"], // admite rutas con puntos
+//     dateField: "start",                           // Date o ISO
+//     rawDateField: "date",                         // texto de la fuente
+//     pastDays: 1, futureDays: 366,                 // ventana de fechas plausibles
+//   }
+// El mínimo de filas depende de lo que ya hay guardado, así que lo pasa quien
+// llama (minRows).
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Texto de fecha de un partido que aún no la tiene
+const UNDATED_TEXT = /^(tbd|tba|to be (announced|determined))?$/i;
+
+const get = (obj, path) =>
+  path.split(".").reduce((value, key) => (value == null ? value : value[key]), obj);
+
+// Devuelve la lista de problemas encontrados (vacía si todo parece correcto)
+function checkScrapeResult(rows, rules = {}, { minRows = 0, now = new Date() } = {}) {
+  const problems = [];
+  const { requiredFields = [], dateField, rawDateField, pastDays, futureDays } = rules;
+
+  if (rows.length < minRows) {
+    problems.push(`El scraper devolvió ${rows.length} filas (se esperaban al menos ${minRows})`);
+  }
+
+  for (const field of requiredFields) {
+    const missing = rows.filter((r) => get(r, field) == null || get(r, field) === "").length;
+    if (missing) problems.push(`${missing} de ${rows.length} filas sin ${field}`);
+  }
+
+  if (dateField && rows.length) {
+    const times = rows.map((r) => get(r, dateField)).filter((d) => d != null);
+    // Filas sin fecha son normales en próximos partidos (TBD, p. ej. recién
+    // anunciado un split). Solo es sospechoso si además faltan filas, o si
+    // la fuente trae un texto de fecha que no se entiende mientras que el
+    // de otras filas sí
+    if (times.length === 0 && rows.length < minRows) {
+      problems.push(`Ninguna fila tiene ${dateField}`);
+    }
+    if (rawDateField && times.length > 0) {
+      const unparsed = rows.filter(
+        (r) =>
+          get(r, dateField) == null &&
+          !UNDATED_TEXT.test(String(get(r, rawDateField) ?? "").trim())
+      ).length;
+      if (unparsed) {
+        problems.push(`${unparsed} de ${rows.length} filas con ${rawDateField} sin interpretar`);
+      }
+    }
+    const min = pastDays == null ? -Infinity : now.getTime() - pastDays * DAY;
+    const max = futureDays == null ? Infinity : now.getTime() + futureDays * DAY;
+    const outOfRange = times.filter((d) => {
+      const t = new Date(d).getTime();
+      return isNaN(t) || t < min || t > max;
+    }).length;
+    if (outOfRange) {
+      problems.push(`${outOfRange} fechas fuera de rango o inválidas en ${dateField}`);
+    }
+  }
+
+  return problems;
+}
+
+module.exports = { checkScrapeResult };
@@ -0,0 +1,134 @@
+// Datos de ejemplo para trabajar sin conexión contra un SQLite local
+// (npm run seed). Solo inserta lo que falta, así que se puede repetir sin
+// duplicar nada ni pisar datos reales.
+const { canonicalMatchKey } = require("./matchKey");
+const { nicknameKey } = require("./playerSearch");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const YEARS = ["2019", "2020", "2021", "2022", "2023", "2024", "2025"];
+
+// Temporadas de año completo: [año, rol]
+const PLAYERS = [
+  {
+    nickname: "BrokenBlade",
+    realName: "Sergen Çelik",
+    nationality: "DE",
+    seasons: [[2022, "top"], [2023, "top"], [2024, "top"], [2025, "top"]],
+  },
+  { nickname: "SkewMond", realName: "Rudy Semaan", nationality: "FR", seasons: [[2025, "jungle"]] },
+  {
+    nickname: "Caps",
+    realName: "Rasmus Borregaard Winther",
+    nationality: "DK",
+    seasons: [2019, 2020, 2021, 2022, 2023, 2024, 2025].map((year) => [year, "mid"]),
+  },
+  {
+    nickname: "Hans Sama",
+    realName: "Steven Liv",
+    nationality: "FR",
+    seasons: [[2024, "bot"], [2025, "bot"]],
+  },
+  {
+    nickname: "Labrov",
+    realName: "Labros Papoutsakis",
+    nationality: "GR",
+    seasons: [[2025, "support"]],
+  },
+  {
+    nickname: "Perkz",
+    realName: "Luka Perković",
+    nationality: "HR",
+    seasons: [[2016, "mid"], [2017, "mid"], [2018, "mid"], [2019, "bot"]],
+  },
+];
+
+// Próximos partidos: días desde "now" para que el calendario tenga contenido
+const UPCOMING = [
+  { team1: "G2 Esports", team2: "Fnatic", bo: "Bo3", inDays: 2, tournament: "LEC" },
+  { team1: "Karmine Corp", team2: "G2 Esports", bo: "Bo3", inDays: 5, tournament: "LEC" },
+  { team1: "G2 Esports", team2: "Team Vitality", bo: "Bo5", inDays: 12, tournament: "LEC Playoffs" },
+];
+
+const HISTORY = [
+  { team1: "G2", team2: "FNC", bo: "BO3", daysAgo: 3, score: "2-1", winner: "G2", tournament: "LEC" },
+  { team1: "MKOI", team2: "G2", bo: "BO3", daysAgo: 7, score: "0-2", winner: "G2", tournament: "LEC" },
+  { team1: "G2", team2: "KC", bo: "BO5", daysAgo: 30, score: "2-3", winner: "KC", tournament: "LEC Playoffs" },
+];
+
+// Hora fija (18:00 UTC) para que repetir el seed el mismo día no cree otro partido
+function matchStart(now, days) {
+  const date = new Date(now.getTime() + days * DAY);
+  date.setUTCHours(18, 0, 0, 0);
+  return date;
+}
+
+async function seed(db, { now = new Date() } = {}) {
+  const statements = [
+    ...YEARS.map((year) => ({
+      sql: "INSERT INTO years (year) SELECT ? WHERE NOT EXISTS (SELECT 1 FROM years WHERE year = ?)",
+      args: [year, year],
+    })),
+    ...PLAYERS.map(({ nickname, realName, nationality }) => ({
+      sql: `INSERT INTO players (nickname, nickname_key, real_name, nationality)
+            SELECT ?, ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM players WHERE nickname = ?)`,
+      args: [nickname, nicknameKey(nickname), realName, nationality, nickname],
+    })),
+    ...PLAYERS.flatMap(({ nickname, seasons }) =>
+      seasons.map(([year, role]) => ({
+        sql: `INSERT OR IGNORE INTO player_seasons (player_id, year, role)
+              VALUES ((SELECT id FROM players WHERE nickname = ?), ?, ?)`,
+        args: [nickname, year, role],
+      }))
+    ),
+    ...UPCOMING.map((m) => {
+      const start = matchStart(now, m.inDays);
+      return {
+        sql: `INSERT OR IGNORE INTO matches_upcoming
+                (id, team1, team2, bo, date, tournament_name, streams_twitch)
+              VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+          canonicalMatchKey({ ...m, start }),
+          m.team1,
+          m.team2,
+          m.bo,
+          start.toISOString(),
+          m.tournament,
+          "https://www.twitch.tv/lec",
+        ],
+      };
+    }),
+    ...HISTORY.map((m) => {
+      const start = matchStart(now, -m.daysAgo);
+      return {
+        sql: `INSERT OR IGNORE INTO matches_history
+                (id, team1, team2, bo, date, score, winner, source, tournament_name)
+              VALUES (?, ?, ?, ?, ?, ?, ?, 'seed', ?)`,
+        args: [
+          canonicalMatchKey({ ...m, start }),
+          m.team1,
+          m.team2,
+          m.bo,
+          start.toISOString(),
+          m.score,
+          m.winner,
+          m.tournament,
+        ],
+      };
+    }),
+    // La migración de cuentas de SoloQ corre antes de que existan jugadores
+    `UPDATE soloq_accounts
+     SET player_id = (SELECT p.id FROM players p
+                      WHERE 'G2 ' || p.nickname = soloq_accounts.game_name)
+     WHERE player_id IS NULL`,
+  ];
+  await db.batch(statements, "write");
+}
+
+// Solo las BD locales admiten datos de ejemplo sin pedirlo expresamente:
+// en una remota (libsql://, https://...) acabarían partidos falsos en la API
+function isLocalUrl(url) {
+  return url === ":memory:" || String(url).startsWith("file:");
+}
+
+module.exports = { seed, isLocalUrl };
@@ -0,0 +1,130 @@
+// Cuentas de SoloQ que sigue /ranking. Cada cuenta es un Riot ID en una
+// región y puede estar enlazada a un jugador de la tabla players (un jugador
+// puede tener varias cuentas: principal, smurfs, otras regiones...).
+
+const REGIONS = [
+  "euw", "eune", "na", "kr", "br", "lan", "las", "oce", "jp", "tr", "ru",
+  "me", "sg", "tw", "vn",
+];
+
+// "G2 Caps#1323" → { gameName: "G2 Caps", tagLine: "1323" }
+function parseRiotId(riotId) {
+  const [gameName, tagLine] = String(riotId || "").split("#");
+  return { gameName: gameName.trim(), tagLine: tagLine?.trim() || null };
+}
+
+function formatRiotId(gameName, tagLine) {
+  return tagLine ? `${gameName}#${tagLine}` : gameName;
+}
+
+// Valida el cuerpo de POST (partial = false) o PATCH (partial = true).
+// Devuelve { error } o { value } con los campos normalizados.
+function validateAccountInput(body, { partial = false } = {}) {
+  const value = {};
+  const input = body || {};
+
+  if (input.riot_id !== undefined || !partial) {
+    const { gameName, tagLine } = parseRiotId(input.riot_id);
+    if (!gameName || gameName.length > 32) {
+      return { error: "riot_id es obligatorio (formato Nombre#TAG)" };
+    }
+    value.game_name = gameName;
+    value.tag_line = tagLine;
+  }
+  if (input.region !== undefined || !partial) {
+    const region = String(input.region ?? "euw").toLowerCase();
+    if (!REGIONS.includes(region)) {
+      return { error: `region debe ser una de: ${REGIONS.join(", ")}` };
+    }
+    value.region = region;
+  }
+  if (input.player_id !== undefined) {
+    if (input.player_id !== null && !Number.isInteger(input.player_id)) {
+      return { error: "player_id debe ser un entero o null" };
+    }
+    value.player_id = input.player_id;
+  }
+  if (input.active !== undefined) {
+    if (typeof input.active !== "boolean") {
+      return { error: "active debe ser true o false" };
+    }
+    value.active = input.active ? 1 : 0;
+  }
+  if (partial && Object.keys(value).length === 0) {
+    return { error: "No hay campos que actualizar" };
+  }
+  return { value };
+}
+
+const SELECT_ACCOUNTS = `
+  SELECT a.id, a.player_id, p.nickname AS player_nickname,
+         a.game_name, a.tag_line, a.region, a.active, a.created_at
+  FROM soloq_accounts a
+  LEFT JOIN players p ON p.id = a.player_id`;
+
+function toAccount(row) {
+  return {
+    id: Number(row.id),
+    player_id: row.player_id === null ? null : Number(row.player_id),
+    player_nickname: row.player_nickname,
+    riot_id: formatRiotId(row.game_name, row.tag_line),
+    game_name: row.game_name,
+    tag_line: row.tag_line,
+    region: row.region,
+    active: Boolean(row.active),
+    created_at: row.created_at,
+  };
+}
+
+function createSoloqAccountsRepository(db) {
+  async function list({ activeOnly = false } = {}) {
+    const result = await db.execute(
+      `${SELECT_ACCOUNTS} ${activeOnly ? "WHERE a.active = 1" : ""}
+       ORDER BY a.region, a.game_name`
+    );
+    return result.rows.map(toAccount);
+  }
+
+  async function findById(id) {
+    const result = await db.execute(`${SELECT_ACCOUNTS} WHERE a.id = ?`, [id]);
+    return result.rows[0] ? toAccount(result.rows[0]) : null;
+  }
+
+  async function create(value) {
+    const result = await db.execute(
+      `INSERT INTO soloq_accounts (player_id, game_name, tag_line, region, active)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        value.player_id ?? null,
+        value.game_name,
+        value.tag_line ?? null,
+        value.region,
+        value.active ?? 1,
+      ]
+    );
+    return findById(Number(result.lastInsertRowid));
+  }
+
+  async function update(id, value) {
+    const columns = Object.keys(value);
+    const result = await db.execute(
+      `UPDATE soloq_accounts SET ${columns.map((c) => `${c} = ?`).join(", ")}
+       WHERE id = ?`,
+      [...columns.map((c) => value[c]), id]
+    );
+    return result.rowsAffected ? findById(id) : null;
+  }
+
+  async function remove(id) {
+    const result = await db.execute("DELETE FROM soloq_accounts WHERE id = ?", [id]);
+    return result.rowsAffected > 0;
+  }
+
+  return { list, findById, create, update, remove };
+}
+
+module.exports = {
+  createSoloqAccountsRepository,
+  validateAccountInput,
+  REGIONS,
+};
@@ -0,0 +1,7 @@
+// Utilidades para montar consultas SQL
+
+// "%texto%" para LIKE ... ESCAPE '\', con los comodines del texto escapados:
+// "%" y "_" en lo que escribe el usuario se buscan tal cual
+const likePattern = (text) => `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+
+module.exports = { likePattern };
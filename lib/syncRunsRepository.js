@@ -0,0 +1,142 @@
+// Registro de cada sincronización de partidos: cuándo empezó y acabó, de qué
+// fuente, cuántas filas devolvió el scraper y qué partidos añadió, cambió o
+// quitó. Las fallidas se guardan con su error y las que no escribieron nada
+// porque la salida del scraper no pasó las comprobaciones, como "degraded"
+// con los problemas encontrados en error.
+
+const RUN_COLUMNS = `id, source, status, started_at, finished_at, fetched,
+  added, updated, removed, error`;
+
+function toRun(row, { withChanges = false } = {}) {
+  const run = {
+    id: Number(row.id),
+    source: row.source,
+    status: row.status,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+    duration_ms:
+      row.finished_at && Date.parse(row.finished_at) - Date.parse(row.started_at),
+    fetched: row.fetched === null ? null : Number(row.fetched),
+    added: Number(row.added),
+    updated: Number(row.updated),
+    removed: Number(row.removed),
+    error: row.error,
+  };
+  if (withChanges) run.changes = row.changes ? JSON.parse(row.changes) : [];
+  return run;
+}
+
+function createSyncRunsRepository(db) {
+  // Abre una ejecución en estado "running" y devuelve su id
+  async function start(source, startedAt = new Date().toISOString()) {
+    const result = await db.execute(
+      "INSERT INTO sync_runs (source, started_at) VALUES (?, ?)",
+      [source, startedAt]
+    );
+    return Number(result.lastInsertRowid);
+  }
+
+  // diff: resultado de diffMatches
+  async function finish(id, { fetched, diff }) {
+    await db.execute(
+      `UPDATE sync_runs SET status = 'ok', finished_at = ?, fetched = ?,
+         added = ?, updated = ?, removed = ?, changes = ?
+       WHERE id = ?`,
+      [
+        new Date().toISOString(),
+        fetched,
+        diff.added,
+        diff.updated,
+        diff.removed,
+        JSON.stringify(diff.changes),
+        id,
+      ]
+    );
+  }
+
+  // La salida del scraper no parecía correcta y no se tocó la BD
+  async function degrade(id, { fetched, problems }) {
+    await db.execute(
+      `UPDATE sync_runs SET status = 'degraded', finished_at = ?, fetched = ?, error = ?
+       WHERE id = ?`,
+      [new Date().toISOString(), fetched, problems.join("; "), id]
+    );
+  }
+
+  async function fail(id, error) {
+    await db.execute(
+      `UPDATE sync_runs SET status = 'error', finished_at = ?, error = ?
+       WHERE id = ?`,
+      [new Date().toISOString(), error.message || String(error), id]
+    );
+  }
+
+  async function list({ source, status, limit, offset }) {
+    const where = [];
+    const args = [];
+    if (source) {
+      where.push("source = ?");
+      args.push(source);
+    }
+    if (status) {
+      where.push("status = ?");
+      args.push(status);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const [count, page] = await db.batch(
+      [
+        { sql: `SELECT COUNT(*) AS total FROM sync_runs ${whereSql}`, args },
+        {
+          sql: `SELECT ${RUN_COLUMNS} FROM sync_runs ${whereSql}
+                ORDER BY started_at DESC, id DESC LIMIT ? OFFSET ?`,
+          args: [...args, limit, offset],
+        },
+      ],
+      "read"
+    );
+    return {
+      total: Number(count.rows[0].total),
+      runs: page.rows.map((r) => toRun(r)),
+    };
+  }
+
+  async function findById(id) {
+    const result = await db.execute("SELECT * FROM sync_runs WHERE id = ?", [id]);
+    return result.rows[0] ? toRun(result.rows[0], { withChanges: true }) : null;
+  }
+
+  // Última ejecución terminada de cada fuente: { liquipedia: run, ... }
+  async function latestBySource() {
+    const result = await db.execute(
+      `SELECT ${RUN_COLUMNS} FROM sync_runs r
+       WHERE id = (
+         SELECT id FROM sync_runs WHERE source = r.source AND status != 'running'
+         ORDER BY started_at DESC, id DESC LIMIT 1
+       )`
+    );
+    return Object.fromEntries(result.rows.map((r) => [r.source, toRun(r)]));
+  }
+
+  // Fin de la última ejecución correcta de cada fuente: { liquipedia: ISO, ... }
+  async function lastSuccessBySource() {
+    const result = await db.execute(
+      `SELECT source, MAX(finished_at) AS finished_at FROM sync_runs
+       WHERE status = 'ok' GROUP BY source`
+    );
+    return Object.fromEntries(result.rows.map((r) => [r.source, r.finished_at]));
+  }
+
+  return {
+    start,
+    finish,
+    degrade,
+    fail,
+    list,
+    findById,
+    latestBySource,
+    lastSuccessBySource,
+  };
+}
+
+module.exports = { createSyncRunsRepository };
@@ -0,0 +1,50 @@
+// Años disponibles (tabla years). Cada fila es un año como texto ("2024").
+
+// Valida el cuerpo de POST/PUT/PATCH /years. Devuelve { error } o { value }.
+function validateYearInput(body) {
+  const year = String(body?.year ?? "").trim();
+  if (!/^\d{4}$/.test(year)) {
+    return { error: "year debe ser un año de 4 cifras" };
+  }
+  return { value: { year } };
+}
+
+function createYearsRepository(db) {
+  async function list() {
+    const result = await db.execute("SELECT * FROM years ORDER BY year");
+    return result.rows;
+  }
+
+  async function findById(id) {
+    const result = await db.execute("SELECT * FROM years WHERE id = ?", [id]);
+    return result.rows[0] || null;
+  }
+
+  // ¿Hay otra fila (distinta de exceptId) con ese año?
+  async function yearTaken(year, exceptId = null) {
+    const result = await db.execute(
+      "SELECT 1 FROM years WHERE year = ? AND id IS NOT ?",
+      [year, exceptId]
+    );
+    return result.rows.length > 0;
+  }
+
+  async function create({ year }) {
+    const result = await db.execute("INSERT INTO years (year) VALUES (?)", [year]);
+    return findById(Number(result.lastInsertRowid));
+  }
+
+  async function update(id, { year }) {
+    const result = await db.execute("UPDATE years SET year = ? WHERE id = ?", [year, id]);
+    return result.rowsAffected ? findById(id) : null;
+  }
+
+  async function remove(id) {
+    const result = await db.execute("DELETE FROM years WHERE id = ?", [id]);
+    return result.rowsAffected > 0;
+  }
+
+  return { list, findById, yearTaken, create, update, remove };
+}
+
+module.exports = { createYearsRepository, validateYearInput };
@@ -0,0 +1,30 @@
+-- Tablas originales de la API (creadas a mano en Turso antes de tener
+-- migraciones, de ahí el IF NOT EXISTS)
+
+CREATE TABLE IF NOT EXISTS years (
+  id INTEGER PRIMARY KEY,
+  year TEXT NOT NULL
+);
+
+-- years: lista de años separada por comas ("2019,2020,2021")
+CREATE TABLE IF NOT EXISTS players (
+  id INTEGER PRIMARY KEY,
+  nickname TEXT NOT NULL,
+  years TEXT
+);
+
+CREATE TABLE IF NOT EXISTS matches_upcoming (
+  id TEXT PRIMARY KEY,
+  team1 TEXT,
+  team1Logo TEXT,
+  team2 TEXT,
+  team2Logo TEXT,
+  bo TEXT,
+  date TEXT,
+  streams_twitch TEXT,
+  streams_youtube TEXT,
+  tournament_name TEXT,
+  tournament_url TEXT,
+  tournament_logo TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
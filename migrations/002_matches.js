@@ -0,0 +1,68 @@
+// Historial de partidos, alias de ids de las fuentes, fechas en ISO UTC y
+// SEQUENCE para los .ics. Es lo que antes hacía ensureSchema() al arrancar,
+// así que cada paso comprueba si ya está hecho.
+const { addColumnIfMissing } = require("../lib/migrations");
+const { toUtcIso } = require("../lib/dates");
+
+async function up(db) {
+  await db.batch(
+    [
+      `CREATE TABLE IF NOT EXISTS matches_history (
+         id TEXT PRIMARY KEY,
+         team1 TEXT NOT NULL,
+         team1Logo TEXT,
+         team2 TEXT NOT NULL,
+         team2Logo TEXT,
+         bo TEXT,
+         date TEXT,
+         date_raw TEXT,
+         score TEXT,
+         winner TEXT,
+         source TEXT NOT NULL,
+         tournament_name TEXT,
+         tournament_url TEXT,
+         tournament_logo TEXT,
+         archived_at TEXT DEFAULT CURRENT_TIMESTAMP
+       )`,
+      "CREATE INDEX IF NOT EXISTS idx_matches_history_date ON matches_history(date)",
+      // Ids de cada fuente (Liquipedia, dpm.lol, claves antiguas) → id del partido
+      `CREATE TABLE IF NOT EXISTS match_aliases (
+         alias TEXT PRIMARY KEY,
+         match_id TEXT NOT NULL,
+         source TEXT NOT NULL,
+         created_at TEXT DEFAULT CURRENT_TIMESTAMP
+       )`,
+      "CREATE INDEX IF NOT EXISTS idx_match_aliases_match_id ON match_aliases(match_id)",
+      // Necesario para poder hacer upsert por id en las sincronizaciones
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_matches_upcoming_id ON matches_upcoming(id)",
+    ],
+    "write"
+  );
+
+  // "date" pasa a ser un instante UTC ISO; el texto original va a "date_raw"
+  await addColumnIfMissing(db, "matches_upcoming", "date_raw", "TEXT");
+  await addColumnIfMissing(db, "matches_history", "date_raw", "TEXT");
+  // Se incrementa cada vez que cambia la hora (SEQUENCE en el .ics)
+  await addColumnIfMissing(db, "matches_upcoming", "sequence", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing(db, "matches_history", "sequence", "INTEGER NOT NULL DEFAULT 0");
+  await backfillMatchDates(db, "matches_upcoming");
+  await backfillMatchDates(db, "matches_history");
+}
+
+// Convierte las fechas guardadas como texto de la fuente a ISO UTC
+async function backfillMatchDates(db, table) {
+  const result = await db.execute(
+    `SELECT id, date FROM ${table}
+     WHERE date IS NOT NULL AND date NOT LIKE '____-__-__T%'`
+  );
+  if (!result.rows.length) return;
+  await db.batch(
+    result.rows.map((r) => ({
+      sql: `UPDATE ${table} SET date = ?, date_raw = COALESCE(date_raw, ?) WHERE id = ?`,
+      args: [toUtcIso(r.date), r.date, r.id],
+    })),
+    "write"
+  );
+}
+
+module.exports = { up };
@@ -0,0 +1,27 @@
+-- Cuentas de SoloQ que sigue /ranking. Un jugador puede tener varias
+-- (principal, smurfs, otras regiones)
+
+CREATE TABLE IF NOT EXISTS soloq_accounts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  player_id INTEGER REFERENCES players(id) ON DELETE SET NULL,
+  game_name TEXT NOT NULL,
+  tag_line TEXT,
+  region TEXT NOT NULL DEFAULT 'euw',
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_soloq_accounts_riot_id
+  ON soloq_accounts(game_name COLLATE NOCASE, region);
+
+-- Roster con el que se seguía el ranking antes de tener la tabla
+INSERT INTO soloq_accounts (player_id, game_name, region)
+SELECT (SELECT id FROM players WHERE nickname = v.column2), v.column1, 'euw'
+FROM (VALUES
+  ('G2 BrokenBlade', 'BrokenBlade'),
+  ('G2 SkewMond', 'SkewMond'),
+  ('G2 Caps', 'Caps'),
+  ('G2 Hans Sama', 'Hans Sama'),
+  ('G2 Labrov', 'Labrov')
+) AS v
+WHERE NOT EXISTS (SELECT 1 FROM soloq_accounts);
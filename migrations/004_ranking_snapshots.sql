@@ -0,0 +1,21 @@
+-- Una foto por cuenta en cada scraping de /ranking (mismo taken_at para todas)
+
+CREATE TABLE IF NOT EXISTS ranking_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  account_id INTEGER,
+  player_id INTEGER,
+  nickname TEXT NOT NULL,
+  riot_id TEXT NOT NULL,
+  region TEXT NOT NULL,
+  status TEXT NOT NULL,
+  tier TEXT,
+  lp INTEGER,
+  rank TEXT,
+  taken_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ranking_snapshots_account
+  ON ranking_snapshots(riot_id, region, taken_at);
+
+CREATE INDEX IF NOT EXISTS idx_ranking_snapshots_nickname
+  ON ranking_snapshots(nickname COLLATE NOCASE, taken_at);
@@ -0,0 +1,18 @@
+-- Registro de cada sincronización de partidos. changes es un JSON con los
+-- partidos añadidos, cambiados o quitados
+
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',
+  started_at TEXT NOT NULL,
+  finished_at TEXT,
+  fetched INTEGER,
+  added INTEGER NOT NULL DEFAULT 0,
+  updated INTEGER NOT NULL DEFAULT 0,
+  removed INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  changes TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_source ON sync_runs(source, started_at);
@@ -0,0 +1,45 @@
+// Plantilla por temporada: sustituye la columna players.years ("2019,2020")
+// por una fila por jugador, año y split con su rol y si era titular.
+// Las temporadas que salen de players.years no tienen split (año completo)
+// ni rol; se completan a mano después.
+//
+// La columna years se queda (ya no se lee ni se escribe): si el volcado
+// tuviera un fallo, los datos originales siguen ahí. Se borrará en otra
+// migración cuando se haya revisado player_seasons.
+async function up(db) {
+  await db.batch(
+    [
+      `CREATE TABLE IF NOT EXISTS player_seasons (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+         year INTEGER NOT NULL,
+         split TEXT,
+         role TEXT,
+         starter INTEGER NOT NULL DEFAULT 1
+       )`,
+      // split NULL = año completo; COALESCE para que cuente en el UNIQUE
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_player_seasons_unique
+         ON player_seasons(player_id, year, COALESCE(split, ''))`,
+      "CREATE INDEX IF NOT EXISTS idx_player_seasons_year ON player_seasons(year)",
+    ],
+    "write"
+  );
+
+  const columns = await db.execute("PRAGMA table_info(players)");
+  if (!columns.rows.some((c) => c.name === "years")) return;
+
+  const players = await db.execute("SELECT id, years FROM players WHERE years IS NOT NULL");
+  const seasons = players.rows.flatMap((p) =>
+    String(p.years)
+      .split(",")
+      .map((year) => year.trim())
+      .filter((year) => /^\d{4}$/.test(year))
+      .map((year) => ({
+        sql: "INSERT OR IGNORE INTO player_seasons (player_id, year) VALUES (?, ?)",
+        args: [p.id, Number(year)],
+      }))
+  );
+  if (seasons.length) await db.batch(seasons, "write");
+}
+
+module.exports = { up };
@@ -0,0 +1,7 @@
+-- Datos de la ficha del jugador para poder filtrar y buscar en /players
+
+ALTER TABLE players ADD COLUMN real_name TEXT;
+
+ALTER TABLE players ADD COLUMN nationality TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_players_nationality ON players(nationality COLLATE NOCASE);
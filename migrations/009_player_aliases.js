@@ -0,0 +1,33 @@
+// Búsqueda de jugadores sin distinguir mayúsculas ni tildes y nombres
+// antiguos. nickname_key y alias_key guardan nicknameKey() del texto; la
+// migración rellena nickname_key de los jugadores que ya existen.
+const { addColumnIfMissing } = require("../lib/migrations");
+const { nicknameKey } = require("../lib/playerSearch");
+
+async function up(db) {
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS player_aliases (
+       id INTEGER PRIMARY KEY AUTOINCREMENT,
+       player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+       alias TEXT NOT NULL,
+       alias_key TEXT NOT NULL UNIQUE,
+       created_at TEXT DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+  await addColumnIfMissing(db, "players", "nickname_key", "TEXT");
+
+  const players = await db.execute("SELECT id, nickname FROM players");
+  await db.batch(
+    [
+      ...players.rows.map((p) => ({
+        sql: "UPDATE players SET nickname_key = ? WHERE id = ?",
+        args: [nicknameKey(p.nickname), p.id],
+      })),
+      "CREATE INDEX IF NOT EXISTS idx_players_nickname_key ON players(nickname_key)",
+      "CREATE INDEX IF NOT EXISTS idx_player_aliases_player ON player_aliases(player_id)",
+    ],
+    "write"
+  );
+}
+
+module.exports = { up };
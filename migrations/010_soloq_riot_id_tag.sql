@@ -0,0 +1,7 @@
+-- El Riot ID completo es nombre + tag: dos cuentas pueden compartir nombre
+-- en la misma región con tags distintos. Sin tag cuenta como tag vacío.
+
+DROP INDEX IF EXISTS idx_soloq_accounts_riot_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_soloq_accounts_riot_id
+  ON soloq_accounts(game_name COLLATE NOCASE, COALESCE(tag_line, '') COLLATE NOCASE, region);
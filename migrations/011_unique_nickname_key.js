@@ -0,0 +1,25 @@
+// nickname_key pasa a ser único: la comprobación previa de la API no basta
+// con dos altas simultáneas. Si ya hay jugadores que solo se distinguen por
+// mayúsculas, tildes o espacios, la migración falla diciendo cuáles para
+// renombrar uno a mano.
+
+async function up(db) {
+  const duplicates = await db.execute(
+    `SELECT group_concat(nickname, ', ') AS nicknames FROM players
+     WHERE nickname_key IS NOT NULL
+     GROUP BY nickname_key HAVING COUNT(*) > 1`
+  );
+  if (duplicates.rows.length) {
+    const groups = duplicates.rows.map((r) => r.nicknames).join("; ");
+    throw new Error(`Jugadores con el mismo nickname (sin mayúsculas ni tildes): ${groups}`);
+  }
+  await db.batch(
+    [
+      "DROP INDEX IF EXISTS idx_players_nickname_key",
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_players_nickname_key ON players(nickname_key)",
+    ],
+    "write"
+  );
+}
+
+module.exports = { up };
@@ -0,0 +1,31 @@
+// Aplica las migraciones pendientes sin arrancar el servidor:
+//   npm run migrate
+// Sin TURSO_URL trabaja sobre el SQLite local (file:local.db), salvo con
+// NODE_ENV=production
+require("dotenv").config();
+const { createClient } = require("@libsql/client");
+const { runMigrations } = require("../lib/migrations");
+const { databaseUrl } = require("../lib/database");
+
+let url;
+try {
+  url = databaseUrl();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const db = createClient({
+  url,
+  authToken: process.env.TURSO_AUTH,
+});
+
+runMigrations(db)
+  .then((applied) => {
+    if (!applied.length) console.log("No hay migraciones pendientes");
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,36 @@
+// Prepara una BD local con datos de ejemplo para usar la API sin conexión:
+//   npm run seed && npm start
+// Trabaja sobre file:local.db o sobre la URL que se pase como argumento
+// (npm run seed -- file:otra.db); aplica antes las migraciones. Nunca usa
+// TURSO_URL, que suele ser la BD de producción: para sembrar una BD remota
+// hay que pasar su URL y --force-remote (con TURSO_AUTH como token).
+require("dotenv").config();
+const { createClient } = require("@libsql/client");
+const { runMigrations } = require("../lib/migrations");
+const { seed, isLocalUrl } = require("../lib/seed");
+
+const args = process.argv.slice(2);
+const forceRemote = args.includes("--force-remote");
+const url = args.find((arg) => !arg.startsWith("--")) || "file:local.db";
+
+if (!isLocalUrl(url) && !forceRemote) {
+  console.error(
+    `${url} no es una BD local y el seed mete jugadores y partidos de ejemplo. ` +
+      "Si de verdad quieres sembrarla, añade --force-remote."
+  );
+  process.exit(1);
+}
+
+const db = createClient({
+  url,
+  authToken: forceRemote ? process.env.TURSO_AUTH : undefined,
+});
+
+runMigrations(db)
+  .then(() => seed(db))
+  .then(() => console.log(`Datos de ejemplo cargados en ${url}`))
+  .catch((err) => {
+    console.error("Error al cargar los datos de ejemplo:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -1,49 +1,389 @@
+const path = require("path");
 const express = require("express");
 const cors = require("cors");
 const compression = require("compression");
 const swaggerUi = require("swagger-ui-express");
 const swaggerJsdoc = require("swagger-jsdoc");
-const playwright = require("playwright");
 const { createClient } = require("@libsql/client");
+const ics = require("./lib/ics");
+const {
+  createBrowserPool,
+  createScraperRunner,
+  checkScrapeResult,
+  scrapers,
+} = require("./lib/scrapers");
+const {
+  createMatchesRepository,
+  winnerFromScore,
+  upsertUpcomingStatement,
+  upsertHistoryStatement,
+  reconcileMatches,
+  aliasStatements,
+  archiveMissingUpcomingStatements,
+} = require("./lib/matchesRepository");
+const { createSyncRunsRepository } = require("./lib/syncRunsRepository");
+const { mergeRanking } = require("./lib/ranking");
+const { createScheduler } = require("./lib/scheduler");
+const { createRankingRepository, PERIODS } = require("./lib/rankingRepository");
+const {
+  createApiKeysRepository,
+  validateKeyInput,
+} = require("./lib/apiKeysRepository");
+const { createAuth, assertRoutesProtected } = require("./lib/auth");
+const { createRateLimiter, clientKey } = require("./lib/rateLimit");
+const { runMigrations } = require("./lib/migrations");
+const { databaseUrl } = require("./lib/database");
+const { createCache } = require("./lib/cache");
+const { setCacheHeaders } = require("./lib/httpCache");
+const {
+  createPlayersRepository,
+  validatePlayerInput,
+  validatePlayerFilters,
+} = require("./lib/playersRepository");
+const { nicknameKey, rankSuggestions } = require("./lib/playerSearch");
+const { createYearsRepository, validateYearInput } = require("./lib/yearsRepository");
+const {
+  createSoloqAccountsRepository,
+  validateAccountInput,
+} = require("./lib/soloqAccountsRepository");
 require("dotenv").config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware de autenticación API Key
-function requireApiKey(req, res, next) {
-  const auth = req.get("Authorization") || "";
-  const [scheme, key] = auth.split(" ");
-  if (scheme !== "Bearer" || key !== process.env.API_KEY) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-  next();
-}
-
-// Configurar cliente Turso
+// Configurar cliente Turso. Sin TURSO_URL se usa el SQLite local que
+// prepara "npm run seed", salvo en producción (ver lib/database.js)
 const db = createClient({
-  url: process.env.TURSO_URL,
+  url: databaseUrl(),
   authToken: process.env.TURSO_AUTH,
 });
 
+// Fly.io pone delante un proxy: la IP del cliente llega en X-Forwarded-For
+app.set("trust proxy", 1);
+
 // Middlewares
 app.use(cors());
 app.use(compression());
 app.use(express.json());
 
-// Inicializar caché en memoria
-const memoryCache = {
-  years: null,
-  players: null,
-  playersByYear: new Map(),
-  playerByIdOrNickname: new Map(),
-  ranking: null, // Caché para el ranking
-  rankingTimestamp: null,
-  matches: null, // Caché para próximos partidos
-  matchesTimestamp: null, // Timestamp de la última petición
+// Caché en memoria compartida: TTL por recurso, tamaño máximo (LRU) e
+// invalidación por tags. Ver lib/cache.js
+const CACHE_DURATION = 60 * 60 * 1000;
+const cache = createCache({
+  maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 500,
+  defaultTtl: CACHE_DURATION,
+});
+
+// Cache-Control de las rutas de lectura, en segundos. Last-Modified sale de
+// cache.changedAt: la última vez que se invalidaron esos datos
+const HTTP_MAX_AGE = {
+  players: 5 * 60,
+  matches: 60,
+  history: 5 * 60,
+  ranking: 60,
+  calendarFeed: 15 * 60,
 };
 
-const CACHE_DURATION = 60 * 60 * 1000;
+// Scraping: un único Chromium compartido, lanzado bajo demanda
+const browserPool = createBrowserPool({
+  maxConcurrency: Number(process.env.SCRAPER_CONCURRENCY) || 1,
+});
+const runScraper = createScraperRunner(browserPool);
+
+// Partidos: acceso a BD con su propia caché, invalidada en cada sincronización
+const matchesRepo = createMatchesRepository(db, { cache, ttl: CACHE_DURATION });
+
+// ===== Límites de peticiones =====
+const MINUTE = 60 * 1000;
+const envLimit = (name, fallback) => Number(process.env[name] ?? fallback);
+
+// Por IP, para todas las rutas (también las públicas)
+const ipLimiter = createRateLimiter({
+  name: "ip",
+  windowMs: MINUTE,
+  max: envLimit("RATE_LIMIT_IP_PER_MINUTE", 120),
+  keyFn: (req) => `ip:${req.ip}`,
+});
+app.use(ipLimiter);
+
+// Por clave de API, en las rutas protegidas
+const keyLimiter = createRateLimiter({
+  name: "key",
+  windowMs: MINUTE,
+  max: envLimit("RATE_LIMIT_KEY_PER_MINUTE", 300),
+  keyFn: clientKey,
+});
+
+// Mucho más estricto para lo que lanza Chromium. skip indica cuándo la
+// petición no va a scrapear (p. ej. /ranking con la caché al día)
+const scrapeLimiter = (skip) =>
+  createRateLimiter({
+    name: "scrape",
+    windowMs: 10 * MINUTE,
+    max: envLimit("RATE_LIMIT_SCRAPES_PER_10_MINUTES", 5),
+    keyFn: clientKey,
+    skip,
+  });
+
+// Claves de API con scopes; cada ruta protegida usa requireScope(scope)
+const apiKeysRepo = createApiKeysRepository(db);
+const { requireScope } = createAuth({
+  apiKeysRepo,
+  envApiKey: process.env.API_KEY,
+  limiter: keyLimiter,
+});
+
+// Registro de sincronizaciones de partidos
+const syncRunsRepo = createSyncRunsRepository(db);
+
+// Cuentas de SoloQ que sigue /ranking
+const soloqRepo = createSoloqAccountsRepository(db);
+
+// Jugadores y sus temporadas en G2, y años disponibles
+const playersRepo = createPlayersRepository(db);
+const yearsRepo = createYearsRepository(db);
+
+// Fotos del ranking para ver la evolución de LP
+const rankingRepo = createRankingRepository(db);
+
+// Aplica las migraciones pendientes de migrations/
+const migrate = (options) => runMigrations(db, options);
+
+// Primer parámetro de "names" que no llega como un único texto: repetido
+// (?source=a&source=b es un array) o con corchetes (?source[x]=a, un objeto)
+function invalidQueryParam(query, names) {
+  return names.find((name) => query[name] !== undefined && typeof query[name] !== "string");
+}
+
+// Valida el rango from/to de la query y lo pasa a ISO UTC. "to" sin hora
+// incluye el día completo (el límite superior es exclusivo).
+function parseDateRange({ from, to }) {
+  for (const value of [from, to]) {
+    if (value !== undefined && isNaN(new Date(value))) {
+      return { error: "Fecha inválida" };
+    }
+  }
+  let end;
+  if (to) {
+    end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+  }
+  return {
+    from: from ? new Date(from).toISOString() : undefined,
+    to: end ? end.toISOString() : undefined,
+  };
+}
+
+// ===== Tareas de sincronización =====
+// Las lanza el planificador cada cierto tiempo y también las rutas POST
+// (y /ranking con la caché caducada, en segundo plano) a través de
+// scheduler.run, que evita que se solapen dos ejecuciones de la misma tarea.
+
+// Próximos partidos desde Liquipedia
+async function syncLiquipedia() {
+  const matches = await runScraper(scrapers.liquipedia);
+
+  // Si tenemos partidos futuros guardados, la fuente debería seguir listando
+  // alguno: 0 filas suele ser un cambio de maquetación, no un calendario vacío
+  const now = new Date();
+  const expected = await matchesRepo.countBetween(now.toISOString());
+  const problems = checkScrapeResult(matches, scrapers.liquipedia.sanity, {
+    minRows: expected > 0 ? 1 : 0,
+    now,
+  });
+  if (problems.length) return { updated: matches.length, problems };
+
+  // Reconciliamos con lo guardado, archivamos los que ya no aparecen y
+  // actualizamos el resto en la BD
+  const diff = await matchesRepo.write((index) => {
+    const reconciled = reconcileMatches(index, matches);
+    const rows = reconciled.filter((m) => !m.archived).map((m) => ({
+      id: m.id,
+      team1: m.team1,
+      team1Logo: m.team1Logo,
+      team2: m.team2,
+      team2Logo: m.team2Logo,
+      bo: m.bo,
+      date: m.start ? m.start.toISOString() : null,
+      date_raw: m.date,
+      streams_twitch: m.streams.twitch,
+      streams_youtube: m.streams.youtube,
+      tournament_name: m.tournament.name,
+      tournament_url: m.tournament.url,
+      tournament_logo: m.tournament.logo,
+    }));
+    return [
+      ...archiveMissingUpcomingStatements(
+        rows.map((r) => r.id),
+        "liquipedia",
+        { now }
+      ),
+      ...rows.map(upsertUpcomingStatement),
+      ...reconciled.flatMap((m) => aliasStatements(m, "liquipedia")),
+    ];
+  });
+
+  return { updated: matches.length, problems, diff };
+}
+
+// Partidos de la última semana desde dpm.lol; los terminados van al historial
+async function syncDpm() {
+  const lastWeek = await runScraper(scrapers.dpm);
+
+  // Con partidos de la última semana guardados, dpm.lol debería listar alguno
+  const now = new Date();
+  const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const expected = await matchesRepo.countBetween(weekAgo.toISOString(), now.toISOString());
+  const problems = checkScrapeResult(lastWeek, scrapers.dpm.sanity, {
+    minRows: expected > 0 ? 1 : 0,
+    now,
+  });
+  if (problems.length) return { updated: lastWeek.length, archived: 0, problems };
+
+  // === PERSISTENCIA: los terminados van al historial, el resto se actualiza ===
+  let archived = 0;
+  const diff = await matchesRepo.write((index) => {
+    const statements = [];
+    for (const m of reconcileMatches(index, lastWeek)) {
+      statements.push(...aliasStatements(m, "dpm.lol"));
+      const finished = /^\d+-\d+$/.test(m.score);
+      // Ya archivado y sin marcador nuevo: nada que actualizar
+      if (m.archived && !finished) continue;
+      // Sin marcador pero ya empezado (en juego o a medio publicar): no es un
+      // próximo partido. Vendrá al historial cuando dpm.lol tenga el resultado
+      if (!finished && m.start <= now) continue;
+
+      const row = {
+        ...m,
+        date: m.dateISO,
+        date_raw: m.dateRaw,
+        streams_twitch: null, // DPM no publica streams en esta vista
+        streams_youtube: null,
+      };
+      if (finished) {
+        statements.push(
+          upsertHistoryStatement({
+            ...row,
+            winner: winnerFromScore(m.team1, m.team2, m.score),
+            source: "dpm.lol",
+          }),
+          {
+            // Conservamos el SEQUENCE acumulado mientras estaba en próximos
+            sql: `UPDATE matches_history SET sequence = MAX(sequence, COALESCE(
+                    (SELECT sequence FROM matches_upcoming WHERE id = ?), 0))
+                  WHERE id = ?`,
+            args: [m.id, m.id],
+          },
+          { sql: "DELETE FROM matches_upcoming WHERE id = ?", args: [m.id] }
+        );
+        archived++;
+      } else {
+        statements.push(upsertUpcomingStatement(row));
+      }
+    }
+    return statements;
+  });
+
+  return { updated: lastWeek.length, archived, problems, diff };
+}
+
+// Ejecuta una sincronización de partidos dejando constancia en sync_runs:
+// filas que devolvió el scraper y partidos añadidos, cambiados o quitados
+// (diff, calculado por matchesRepo.write solo con lo que escribió esta
+// sincronización). Si la salida del scraper no pasó las comprobaciones
+// (problems), la BD no se ha tocado y la ejecución queda como "degraded".
+async function recordSyncRun(source, sync) {
+  const runId = await syncRunsRepo.start(source);
+  try {
+    const { problems, diff, ...result } = await sync();
+    if (problems.length) {
+      console.warn(`Sincronización ${source} degradada:`, problems.join("; "));
+      await syncRunsRepo.degrade(runId, { fetched: result.updated, problems });
+      return { status: "degraded", ...result, problems, run_id: runId };
+    }
+
+    await syncRunsRepo.finish(runId, { fetched: result.updated, diff });
+    return {
+      status: "ok",
+      ...result,
+      run_id: runId,
+      changes: { added: diff.added, updated: diff.updated, removed: diff.removed },
+    };
+  } catch (err) {
+    await syncRunsRepo
+      .fail(runId, err)
+      .catch((e) => console.error("Error al registrar la sincronización:", e.message));
+    throw err;
+  }
+}
+
+// Ranking de SoloQ: un recorrido del leaderboard por región con las cuentas
+// activas de esa región; las que no aparecen vuelven como "not_found"
+async function refreshRanking() {
+  const now = Date.now();
+  const accounts = await soloqRepo.list({ activeOnly: true });
+  const rowsByRegion = {};
+  for (const region of new Set(accounts.map((a) => a.region))) {
+    rowsByRegion[region] = await runScraper(scrapers.opgg, {
+      region,
+      targetRiotIds: accounts.filter((a) => a.region === region).map((a) => a.riot_id),
+    });
+  }
+
+  const ranking = mergeRanking(accounts, rowsByRegion);
+
+  // El histórico es secundario: si falla, el ranking se sirve igual
+  try {
+    await rankingRepo.saveSnapshot(ranking, new Date(now).toISOString());
+  } catch (err) {
+    console.error("Error al guardar la foto del ranking:", err.message);
+  }
+  // El ranking nuevo sustituye al anterior (y mueve su Last-Modified)
+  cache.invalidateTags("ranking");
+  cache.set("ranking", ranking, { ttl: CACHE_DURATION });
+  return ranking;
+}
+
+// Intervalos en minutos por variable de entorno (0 = solo bajo demanda)
+function jobInterval(envName, defaultMinutes) {
+  const minutes = Number(process.env[envName] ?? defaultMinutes);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0;
+}
+
+const scheduler = createScheduler();
+scheduler.add("matches-sync", () => recordSyncRun("liquipedia", syncLiquipedia), {
+  interval: jobInterval("JOB_MATCHES_SYNC_MINUTES", 60),
+});
+scheduler.add("matches-sync-dpm", () => recordSyncRun("dpm.lol", syncDpm), {
+  interval: jobInterval("JOB_MATCHES_SYNC_DPM_MINUTES", 60),
+});
+scheduler.add("ranking", refreshRanking, {
+  interval: jobInterval("JOB_RANKING_MINUTES", 30),
+});
+
+// ===== Helpers de calendario (.ics) =====
+// Minutos de aviso pedidos con ?alarm= (0 = sin alarma). undefined si no se
+// indica y NaN si el valor no es válido.
+function parseAlarmQuery(value) {
+  if (value === undefined) return undefined;
+  const minutes = Number(value);
+  return Number.isInteger(minutes) && minutes >= 0 && minutes <= 7 * 24 * 60
+    ? minutes
+    : NaN;
+}
+
+// Días hacia atrás de partidos ya jugados que se incluyen en /calendar.ics
+const CALENDAR_FEED_PAST_DAYS = 30;
+
+// Ventana de /calendar.ics. Empieza a medianoche UTC para que solo se mueva
+// una vez al día, y ese momento (movedAt) cuenta como cambio del feed aunque
+// no haya cambiado ningún partido: un partido puede haber salido de la ventana
+function calendarFeedWindow(now = new Date()) {
+  const movedAt = new Date(now);
+  movedAt.setUTCHours(0, 0, 0, 0);
+  const since = new Date(movedAt.getTime() - CALENDAR_FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+  return { since: since.toISOString(), movedAt: movedAt.getTime() };
+}
 
 // Configuración de Swagger
 const swaggerOptions = {
@@ -61,8 +401,19 @@ const swaggerOptions = {
         description: "Servidor de producción (Fly.io)",
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description:
+            "Clave de API con scopes read, sync o admin (ver /api-keys). 401 sin clave válida, 403 sin el scope necesario.",
+        },
+      },
+    },
+    security: [{ bearerAuth: [] }],
   },
-  apis: ["./server.js"],
+  apis: [path.join(__dirname, "server.js")],
 };
 
 const swaggerDocs = swaggerJsdoc(swaggerOptions);
@@ -73,300 +424,380 @@ app.get("/", (req, res) => {
   res.redirect(301, "/api-docs");
 });
 
-// Endpoint de salud
+// Fuente de cada sincronización → tarea del planificador que la lanza
+const SYNC_JOBS = { liquipedia: "matches-sync", "dpm.lol": "matches-sync-dpm" };
+
+// Una sincronización se considera atascada si lleva más de STALE_FACTOR
+// intervalos sin terminar bien
+const STALE_FACTOR = 3;
+const SERVER_STARTED_AT = Date.now();
+
+// Rechaza si la promesa tarda más de ms (una BD remota colgada no debe
+// dejar colgado el health check)
+function withDeadline(promise, ms, label) {
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label}: sin respuesta en ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase() {
+  const started = Date.now();
+  try {
+    await withDeadline(db.execute("SELECT 1"), 5000, "BD");
+    return { status: "ok", latency_ms: Date.now() - started };
+  } catch (err) {
+    return { status: "error", error: err.message };
+  }
+}
+
+async function checkBrowser() {
+  if (process.env.HEALTH_CHECK_BROWSER === "false") return { status: "skipped" };
+  const result = await browserPool.check();
+  return {
+    status: result.ok ? "ok" : "error",
+    checked_at: new Date(result.checkedAt).toISOString(),
+    ...(result.error ? { error: result.error } : {}),
+  };
+}
+
+// Antigüedad de la última ejecución correcta de una tarea y si está atascada
+function freshness(lastSuccessAt, jobName, now) {
+  const job = scheduler.status().find((j) => j.name === jobName);
+  const since = lastSuccessAt ? Date.parse(lastSuccessAt) : SERVER_STARTED_AT;
+  return {
+    last_success_at: lastSuccessAt || null,
+    age_s: lastSuccessAt ? Math.round((now - since) / 1000) : null,
+    stale: Boolean(job && job.interval_ms > 0 && now - since > STALE_FACTOR * job.interval_ms),
+  };
+}
+
 /**
  * @swagger
  * /health:
  *   get:
- *     summary: Verifica que el servidor esté funcionando
+ *     summary: Estado del servidor y de sus dependencias
+ *     security: []
+ *     description: >
+ *       Comprueba la conexión con la BD, que Chromium puede arrancar sin
+ *       lanzarlo (el ejecutable existe y el último lanzamiento no falló;
+ *       resultado reutilizado 5 minutos, HEALTH_CHECK_BROWSER=false lo
+ *       desactiva) y la
+ *       antigüedad de la última sincronización y del último ranking. Responde
+ *       503 si algo falla, si la última sincronización de una fuente fue
+ *       "degraded" o si una tarea lleva más de 3 intervalos sin terminar bien.
  *     responses:
  *       200:
- *         description: Estado del servidor
+ *         description: Todo correcto
  *         content:
  *           application/json:
  *             schema:
+ *               $ref: '#/components/schemas/Health'
+ *       503:
+ *         description: Degradado; "problems" explica por qué
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ * components:
+ *   schemas:
+ *     Freshness:
+ *       type: object
+ *       properties:
+ *         last_success_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         age_s:
+ *           type: integer
+ *           nullable: true
+ *         stale:
+ *           type: boolean
+ *     Health:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, degraded]
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-01-21T08:20:20.123Z"
+ *         uptime_s:
+ *           type: integer
+ *         checks:
+ *           type: object
+ *           properties:
+ *             database:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [ok, error]
+ *                 latency_ms:
+ *                   type: integer
+ *                 error:
+ *                   type: string
+ *             browser:
  *               type: object
  *               properties:
  *                 status:
  *                   type: string
- *                   example: "ok"
- *                 timestamp:
+ *                   enum: [ok, error, skipped]
+ *                 checked_at:
  *                   type: string
  *                   format: date-time
- *                   example: "2025-01-21T08:20:20.123Z"
+ *                 error:
+ *                   type: string
+ *         sync:
+ *           type: object
+ *           description: Una entrada por fuente (liquipedia, dpm.lol)
+ *           additionalProperties:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Freshness'
+ *               - type: object
+ *                 properties:
+ *                   last_run:
+ *                     $ref: '#/components/schemas/SyncRun'
+ *         ranking:
+ *           $ref: '#/components/schemas/Freshness'
+ *         cache:
+ *           type: object
+ *           description: Resumen de la caché en memoria (detalle en /cache/stats)
+ *           properties:
+ *             entries:
+ *               type: integer
+ *             max_entries:
+ *               type: integer
+ *             hit_rate:
+ *               type: number
+ *               nullable: true
+ *         problems:
+ *           type: array
+ *           items:
+ *             type: string
  */
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
+app.get("/health", async (req, res) => {
+  const now = Date.now();
+  const problems = [];
+  const [database, browser] = await Promise.all([checkDatabase(), checkBrowser()]);
+  if (database.status === "error") problems.push(`BD: ${database.error}`);
+  if (browser.status === "error") problems.push(`Chromium: ${browser.error}`);
+
+  // Sin BD no hay forma de saber nada de sincronizaciones ni del ranking
+  const sync = {};
+  let ranking = null;
+  if (database.status === "ok") {
+    try {
+      const [latest, lastSuccess, lastRanking] = await Promise.all([
+        syncRunsRepo.latestBySource(),
+        syncRunsRepo.lastSuccessBySource(),
+        rankingRepo.lastTakenAt(),
+      ]);
+      for (const [source, jobName] of Object.entries(SYNC_JOBS)) {
+        sync[source] = {
+          last_run: latest[source] || null,
+          ...freshness(lastSuccess[source], jobName, now),
+        };
+        if (sync[source].last_run?.status === "degraded") {
+          problems.push(`Sincronización ${source} degradada: ${sync[source].last_run.error}`);
+        }
+        if (sync[source].stale) problems.push(`Sincronización ${source} sin éxito reciente`);
+      }
+      ranking = freshness(lastRanking, "ranking", now);
+      if (ranking.stale) problems.push("Ranking sin actualizar");
+    } catch (err) {
+      problems.push(`Estado de sincronizaciones: ${err.message}`);
+    }
+  }
+
+  const status = problems.length ? "degraded" : "ok";
+  const cacheStats = cache.stats();
+  res.status(problems.length ? 503 : 200).json({
+    status,
+    timestamp: new Date(now).toISOString(),
+    uptime_s: Math.round((now - SERVER_STARTED_AT) / 1000),
+    checks: { database, browser },
+    sync,
+    ranking,
+    cache: {
+      entries: cacheStats.entries,
+      max_entries: cacheStats.max_entries,
+      hit_rate: cacheStats.hit_rate,
+    },
+    problems,
+  });
 });
 
 /**
  * @swagger
- * /matches/sync-dpm:
- *   post:
- *     summary: Sincroniza los partidos de la última semana desde dpm.lol (G2) y los guarda en matches_upcoming
+ * /health/ready:
+ *   get:
+ *     summary: Si el servidor puede atender peticiones (solo comprueba la BD)
+ *     security: []
+ *     description: >
+ *       Para el health check de Fly. No depende de Chromium ni de las
+ *       sincronizaciones: una página de Liquipedia o dpm.lol rota no debe
+ *       dejar sin servicio /players o /ranking. El estado completo, con 503
+ *       si algo está degradado, sigue en /health.
  *     responses:
  *       200:
- *         description: Partidos sincronizados (últimos 7 días, Europe/Madrid)
+ *         description: La BD responde
+ *       503:
+ *         description: La BD no responde
  */
-app.post("/matches/sync-dpm", async (req, res) => {
-  let browser;
-  try {
-    browser = await playwright.chromium.launch({
-      headless: true,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-accelerated-2d-canvas",
-        "--disable-gpu",
-        "--no-zygote",
-        "--single-process",
-      ],
-    });
-
-    const context = await browser.newContext({
-      userAgent:
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) " +
-        "AppleWebKit/537.36 (KHTML, like Gecko) " +
-        "Chrome/114.0.0.0 Safari/537.36",
-      viewport: { width: 1280, height: 800 },
-    });
-
-    const page = await context.newPage();
-    const URL = "https://dpm.lol/esport/teams/G2/all/all/all/matches";
+app.get("/health/ready", async (req, res) => {
+  const database = await checkDatabase();
+  res.status(database.status === "ok" ? 200 : 503).json({
+    status: database.status === "ok" ? "ok" : "error",
+    checks: { database },
+  });
+});
 
-    await page.goto(URL, { waitUntil: "domcontentloaded", timeout: 60000 });
+// Feed público: las apps de calendario no pueden enviar cabecera Authorization
+/**
+ * @swagger
+ * /calendar.ics:
+ *   get:
+ *     summary: Calendario suscribible con todos los partidos de G2 Esports
+ *     security: []
+ *     description: >
+ *       Feed iCalendar con los próximos partidos y los jugados en los últimos
+ *       30 días. Cada partido mantiene su UID y el SEQUENCE aumenta cuando
+ *       cambia la hora, así que las apps de calendario actualizan el evento.
+ *     parameters:
+ *       - in: query
+ *         name: tournament
+ *         schema:
+ *           type: string
+ *         description: Nombre (o parte) del torneo
+ *       - in: query
+ *         name: opponent
+ *         schema:
+ *           type: string
+ *         description: Nombre (o parte) del rival
+ *       - in: query
+ *         name: alarm
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Minutos de aviso antes de cada partido (0 = sin alarma)
+ *     responses:
+ *       200:
+ *         description: Archivo .ics con un VEVENT por partido
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ */
+app.get("/calendar.ics", async (req, res) => {
+  const invalid = invalidQueryParam(req.query, ["tournament", "opponent"]);
+  if (invalid) {
+    return res.status(400).json({ error: `${invalid} solo admite un valor` });
+  }
+  const { tournament, opponent } = req.query;
+  const alarmMinutes = parseAlarmQuery(req.query.alarm);
+  if (Number.isNaN(alarmMinutes)) {
+    return res.status(400).json({ error: "alarm debe ser un número de minutos" });
+  }
 
-    // Espera robusta a que haya tarjetas de partido
-    await page.waitForSelector('div[data-state][id] .grid.grid-cols-8', {
-      timeout: 60000,
-    });
+  const { since, movedAt } = calendarFeedWindow();
 
-    const raw = await page.evaluate(() => {
-      try {
-        const origin = location.origin;
-        const MONTHS = {
-          ene: 1, feb: 2, mar: 3, abr: 4, may: 5, jun: 6,
-          jul: 7, ago: 8, sep: 9, sept: 9, oct: 10, nov: 11, dic: 12,
-        };
-        const stripDiacritics = (s) =>
-          (s || "")
-            .normalize("NFD")
-            .replace(/[\u0300-\u036f]/g, "");
-
-        const sections = Array.from(document.querySelectorAll("div.flex.flex-col.w-full.gap-4"));
-        const out = [];
-
-        for (const sec of sections) {
-          const headerEl = sec.querySelector("span.font-bold.text-bl.lg\\:text-bxl.text-black-200");
-          if (!headerEl) continue;
-
-          const headerText = (headerEl.textContent || "").trim().toLowerCase();
-          const m = headerText.match(/(\d{1,2})\s+([a-zá]+)/i);
-          let dayNum = null, monthNum = null;
-          if (m) {
-            dayNum = parseInt(m[1], 10);
-            const monKey = stripDiacritics(m[2]).toLowerCase();
-            monthNum = MONTHS[monKey] || MONTHS[monKey.slice(0, 3)] || null;
-          }
-
-          // Contenedor de tarjetas bajo la sección
-          const cards = Array.from(
-            sec.querySelectorAll('div.flex.flex-col.gap-8 > div[data-state][id]')
-          );
-
-          for (const card of cards) {
-            const grid = card.querySelector("div.grid.grid-cols-8.lg\\:grid-cols-12");
-            if (!grid) continue;
-
-            // Hora HH:MM (dos spans)
-            const left = grid.querySelector("div.min-w-\\[60px\\].lg\\:col-span-3");
-            const hh = left?.querySelector("span.text-bm.lg\\:text-hl.font-bold.text-black-200")?.textContent?.trim() || "";
-            const mm = left?.querySelector("span.text-bxs.lg\\:text-bm.font-bold.text-black-200")?.textContent?.trim() || "";
-
-            // Centro: equipos / logos / resultado
-            const center = grid.querySelector("div.grid.grid-cols-11.lg\\:grid-cols-10.items-center");
-            if (!center) continue;
-
-            const a1 = center.querySelector("a:nth-of-type(1)");
-            const team1 = a1?.querySelector(".font-bold.text-bm.lg\\:text-bxl")?.textContent?.trim() || null;
-            const team1LogoEl = a1?.querySelector('img[alt="Team1"]');
-            const team1LogoSrc = team1LogoEl?.getAttribute("src") || team1LogoEl?.getAttribute("data-src") || null;
-            const team1Logo = team1LogoSrc ? new URL(team1LogoSrc, origin).href : null;
-
-            // Resultado (puede ser "-" o "1-0", "3-1", etc.)
-            const scoreContainer = center.querySelector("div.col-span-3.lg\\:col-span-2");
-            let score = "-";
-            if (scoreContainer) {
-              const txt = (scoreContainer.textContent || "").replace(/\s+/g, "");
-              const hit = txt.match(/^\d+-\d+$/) || txt.match(/^-$/);
-              score = hit ? hit[0] : "-";
-            }
-
-            const a2 = center.querySelector("a:nth-of-type(2)");
-            const team2 = a2?.querySelector(".font-bold.text-bm.lg\\:text-bxl")?.textContent?.trim() || null;
-            const team2LogoEl = a2?.querySelector('img[alt="Team2"]');
-            const team2LogoSrc = team2LogoEl?.getAttribute("src") || team2LogoEl?.getAttribute("data-src") || null;
-            const team2Logo = team2LogoSrc ? new URL(team2LogoSrc, origin).href : null;
-
-            // Derecha: torneo + fase/BO + logo torneo
-            const right = grid.querySelector("div.lg\\:col-span-3");
-            const rightText = right?.querySelector("div.hidden.lg\\:flex.flex-col.items-end.font-semibold.text-bm");
-            const tournamentName = rightText?.querySelector("span:first-child")?.textContent?.trim() || null;
-            const phaseAndBo = rightText?.querySelector("span.text-black-300")?.textContent?.trim() || null;
-
-            const leagueA = right?.querySelector('a[href^="/esport/leagues/"]');
-            const tournamentUrl = leagueA ? new URL(leagueA.getAttribute("href"), origin).href : null;
-            const leagueLogoEl = leagueA?.querySelector('img[alt="League"]');
-            const leagueLogoSrc = leagueLogoEl?.getAttribute("src") || leagueLogoEl?.getAttribute("data-src") || null;
-            const tournamentLogo = leagueLogoSrc ? new URL(leagueLogoSrc, origin).href : null;
-
-            out.push({
-              dayNum, monthNum, hh, mm,
-              team1, team1Logo,
-              team2, team2Logo,
-              score,
-              phaseAndBo,
-              tournamentName,
-              tournamentUrl,
-              tournamentLogo,
-            });
-          }
-        }
-        return { ok: true, items: out };
-      } catch (e) {
-        return { ok: false, error: String(e?.message || e) };
-      }
+  try {
+    const matches = await matchesRepo.listForCalendar({
+      tournament,
+      opponent,
+      since,
     });
 
-    if (!raw.ok) {
-      console.error("page.evaluate error:", raw.error);
-      throw new Error("Fallo extrayendo HTML en dpm.lol");
-    }
-
-    // ===== Helpers de fecha (sin librerías externas) =====
-    const TZ = "Europe/Madrid";
-
-    function getTzOffsetMs(date, timeZone) {
-      const f = new Intl.DateTimeFormat("en-US", {
-        timeZone,
-        hour12: false,
-        year: "numeric",
-        month: "2-digit",
-        day: "2-digit",
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-      });
-      const parts = f.formatToParts(date);
-      const map = {};
-      for (const p of parts) map[p.type] = p.value;
-      const asUTC = Date.UTC(
-        Number(map.year),
-        Number(map.month) - 1,
-        Number(map.day),
-        Number(map.hour),
-        Number(map.minute),
-        Number(map.second)
-      );
-      return asUTC - date.getTime();
-    }
-
-    function toZonedTimestamp(year, month, day, hour, minute) {
-      const guess = new Date(Date.UTC(year, month - 1, day, hour, minute, 0));
-      const offset = getTzOffsetMs(guess, TZ);
-      return Date.UTC(year, month - 1, day, hour, minute, 0) - offset;
-    }
-
-    function nowInTz(timeZone) {
-      const now = new Date();
-      const offset = getTzOffsetMs(now, timeZone);
-      return new Date(now.getTime() + offset);
-    }
-
-    const nowTz = nowInTz(TZ);
-    const weekAgoTz = new Date(nowTz.getTime() - 7 * 24 * 60 * 60 * 1000);
-    const currentYear = nowTz.getFullYear();
-
-    const parsed = raw.items
-      .map((m) => {
-        if (!m.team1 || !m.team2) return null;
-
-        const day = Number(m.dayNum) || nowTz.getDate();
-        const month = Number(m.monthNum) || nowTz.getMonth() + 1;
-        const HH = String(m.hh || "00").padStart(2, "0");
-        const MM = String(m.mm || "00").padStart(2, "0");
-
-        const ts = toZonedTimestamp(currentYear, month, day, Number(HH), Number(MM));
-        const dtMadrid = new Date(ts);
-        const dateISO = new Date(ts).toISOString(); // UTC
-
-        const boMatch = (m.phaseAndBo || "").match(/\bBO\d\b/i);
-        const bo = boMatch ? boMatch[0].toUpperCase() : null;
-
-        const id = [
-          m.team1,
-          m.team2,
-          dateISO.replace(/[-:]/g, "").slice(0, 13) + "00Z",
-          bo || "BO?"
-        ].join("-");
-
-        return {
-          id,
-          dtMadrid,
-          dateISO,
-          team1: m.team1,
-          team1Logo: m.team1Logo,
-          team2: m.team2,
-          team2Logo: m.team2Logo,
-          bo,
-          tournament_name: m.tournamentName,
-          tournament_url: m.tournamentUrl,
-          tournament_logo: m.tournamentLogo,
-        };
-      })
+    // DTSTAMP = último cambio de los partidos o de la ventana, para que el
+    // cuerpo (y su ETag) no cambie en cada petición
+    const lastModified = Math.max(cache.changedAt("matches"), movedAt);
+    const events = matches
+      .map((m) => ics.buildEvent(m, { now: new Date(lastModified), alarmMinutes }))
       .filter(Boolean);
 
-    const lastWeek = parsed.filter((r) => r.dtMadrid >= weekAgoTz && r.dtMadrid <= nowTz);
-
-    // === PERSISTENCIA EN LA MISMA TABLA / CAMPOS QUE YA USAS ===
-    await db.execute("DELETE FROM matches_upcoming");
-    for (const m of lastWeek) {
-      await db.execute(
-        `INSERT INTO matches_upcoming
-           (id, team1, team1Logo, team2, team2Logo,
-            bo, date, streams_twitch, streams_youtube,
-            tournament_name, tournament_url, tournament_logo)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          m.id,
-          m.team1,
-          m.team1Logo,
-          m.team2,
-          m.team2Logo,
-          m.bo,
-          m.dateISO,     // ISO UTC; tu /calendar lo parsea sin problemas
-          null,          // DPM no publica streams en esta vista
-          null,
-          m.tournament_name,
-          m.tournament_url,
-          m.tournament_logo,
-        ]
-      );
-    }
+    const calendar = ics.buildCalendar(events, {
+      name: "G2 Esports",
+      refreshMinutes: 60,
+    });
+
+    // Público: un CDN puede servirlo sin pasar por la API
+    setCacheHeaders(res, {
+      maxAge: HTTP_MAX_AGE.calendarFeed,
+      isPublic: true,
+      staleWhileRevalidate: 60 * 60,
+      lastModified,
+    });
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", 'inline; filename="g2-matches.ics"');
+    res.send(calendar);
+  } catch (error) {
+    console.error("Error al generar el feed .ics:", error);
+    res.status(500).json({ error: "Error interno al generar archivo ICS" });
+  }
+});
 
-    res.json({ status: "ok", updated: lastWeek.length });
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SyncResult:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, degraded]
+ *           description: >
+ *             "degraded" si la salida del scraper no parecía correcta (pocas
+ *             filas, campos vacíos, fechas imposibles); en ese caso no se toca la BD
+ *         updated:
+ *           type: integer
+ *           description: Partidos que devolvió la fuente
+ *         problems:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Solo si status es "degraded"
+ *         archived:
+ *           type: integer
+ *           description: Partidos terminados movidos al historial (solo dpm.lol)
+ *         run_id:
+ *           type: integer
+ *           description: Id de la ejecución en /sync/runs
+ *         changes:
+ *           type: object
+ *           properties:
+ *             added:
+ *               type: integer
+ *             updated:
+ *               type: integer
+ *             removed:
+ *               type: integer
+ * /matches/sync-dpm:
+ *   post:
+ *     summary: Sincroniza los partidos de la última semana desde dpm.lol (G2) y los guarda en matches_upcoming
+ *     description: Cada ejecución queda registrada en /sync/runs.
+ *     responses:
+ *       200:
+ *         description: Partidos sincronizados (últimos 7 días, Europe/Madrid)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SyncResult'
+ *       429:
+ *         description: Demasiadas peticiones que lanzan scraping; ver Retry-After
+ */
+app.post("/matches/sync-dpm", requireScope("sync"), scrapeLimiter(), async (req, res) => {
+  try {
+    res.json(await scheduler.run("matches-sync-dpm"));
   } catch (err) {
     console.error("Error en /matches/sync-dpm:", err && err.stack ? err.stack : err);
     res.status(500).json({ error: "Error al sincronizar partidos (dpm.lol)" });
-  } finally {
-    if (browser) await browser.close();
   }
 });
 
-// A partir de aquí, protegemos con requireApiKey
-app.use(requireApiKey);
-
 // Rutas de la API
 /**
  * @swagger
@@ -390,14 +821,14 @@ app.use(requireApiKey);
  *                     type: string
  *                     example: "2024"
  */
-app.get("/years", async (req, res) => {
+app.get("/years", requireScope("read"), async (req, res) => {
   try {
-    if (memoryCache.years) {
-      return res.json(memoryCache.years);
-    }
-    const result = await db.execute("SELECT * FROM years");
-    memoryCache.years = result.rows; // Guardar en caché
-    res.json(result.rows);
+    const years = await cache.wrap("years", () => yearsRepo.list());
+    setCacheHeaders(res, {
+      maxAge: HTTP_MAX_AGE.players,
+      lastModified: cache.changedAt("years"),
+    });
+    res.json(years);
   } catch (error) {
     console.error("Error al obtener los años:", error.message);
     res.status(500).json({ error: "Error interno del servidor" });
@@ -408,35 +839,127 @@ app.get("/years", async (req, res) => {
  * @swagger
  * /players:
  *   get:
- *     summary: Obtiene todos los jugadores
+ *     summary: Busca jugadores con filtros, orden y paginación
+ *     description: >
+ *       Sin parámetros devuelve la primera página de todos los jugadores por id.
+ *       role, year_from y year_to se cumplen en una misma temporada
+ *       (role=mid&year_to=2019 → jugó de mid hasta 2019). Activo es quien tiene
+ *       temporada en el último año con datos.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto a buscar en el nickname o el nombre real
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [top, jungle, mid, bot, support, coach]
+ *       - in: query
+ *         name: nationality
+ *         schema:
+ *           type: string
+ *         description: Nacionalidad exacta (sin distinguir mayúsculas)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, former]
+ *       - in: query
+ *         name: year_from
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: year_to
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, nickname, real_name, nationality, first_year, last_year]
+ *           default: id
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
  *     responses:
  *       200:
- *         description: Lista de jugadores
+ *         description: Página de jugadores
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   nickname:
- *                     type: string
- *                     example: "PlayerOne"
- *                   years:
- *                     type: string
- *                     example: "2023,2024"
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   description: Jugadores que cumplen los filtros (todas las páginas)
+ *                   example: 42
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 players:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 1
+ *                       nickname:
+ *                         type: string
+ *                         example: "Caps"
+ *                       real_name:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "Rasmus Borregaard Winther"
+ *                       nationality:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "DK"
+ *                       years:
+ *                         type: string
+ *                         description: Años en G2, sacados de sus temporadas
+ *                         example: "2023,2024"
+ *                       first_year:
+ *                         type: integer
+ *                         nullable: true
+ *                       last_year:
+ *                         type: integer
+ *                         nullable: true
+ *                       active:
+ *                         type: boolean
+ *       400:
+ *         description: Parámetros no válidos
  */
-app.get("/players", async (req, res) => {
+app.get("/players", requireScope("read"), async (req, res) => {
+  const { error, value: filters } = validatePlayerFilters(req.query);
+  if (error) return res.status(400).json({ error });
   try {
-    if (memoryCache.players) {
-      return res.json(memoryCache.players);
-    }
-    const result = await db.execute("SELECT * FROM players");
-    memoryCache.players = result.rows; // Guardar en caché
-    res.json(result.rows);
+    const { total, rows } = await cache.wrap(
+      `players:list:${JSON.stringify(filters)}`,
+      () => playersRepo.search(filters)
+    );
+    setCacheHeaders(res, {
+      maxAge: HTTP_MAX_AGE.players,
+      lastModified: cache.changedAt("players"),
+    });
+    res.json({ total, limit: filters.limit, offset: filters.offset, players: rows });
   } catch (error) {
     console.error("Error al obtener jugadores:", error.message);
     res.status(500).json({ error: "Error interno del servidor" });
@@ -447,17 +970,22 @@ app.get("/players", async (req, res) => {
  * @swagger
  * /players/year/{year}:
  *   get:
- *     summary: Obtiene jugadores por año
+ *     summary: Obtiene la plantilla de un año
+ *     description: >
+ *       Jugadores que estuvieron en G2 ese año, titulares primero y ordenados
+ *       por rol. Si un jugador estuvo en varios splits, role y starter son los
+ *       del último y splits tiene el detalle.
  *     parameters:
  *       - in: path
  *         name: year
  *         required: true
  *         schema:
  *           type: string
- *         description: Año para filtrar
+ *           pattern: '^\d{4}$'
+ *         description: Año (4 cifras)
  *     responses:
  *       200:
- *         description: Lista de jugadores para el año especificado
+ *         description: Plantilla del año
  *         content:
  *           application/json:
  *             schema:
@@ -470,41 +998,151 @@ app.get("/players", async (req, res) => {
  *                     example: 1
  *                   nickname:
  *                     type: string
- *                     example: "PlayerOne"
- *                   years:
+ *                     example: "Caps"
+ *                   role:
  *                     type: string
- *                     example: "2023,2024"
+ *                     nullable: true
+ *                     enum: [top, jungle, mid, bot, support, coach]
+ *                   starter:
+ *                     type: boolean
+ *                   splits:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         split:
+ *                           type: string
+ *                           nullable: true
+ *                           description: null si es el año completo
+ *                           example: "Spring"
+ *                         role:
+ *                           type: string
+ *                           nullable: true
+ *                         starter:
+ *                           type: boolean
+ *       400:
+ *         description: Año no válido
  */
-app.get("/players/year/:year", async (req, res) => {
+app.get("/players/year/:year", requireScope("read"), async (req, res) => {
   const { year } = req.params;
+  if (!/^\d{4}$/.test(year)) {
+    return res.status(400).json({ error: "year debe ser un año de 4 cifras" });
+  }
   try {
-    if (memoryCache.playersByYear.has(year)) {
-      return res.json(memoryCache.playersByYear.get(year));
-    }
-    const result = await db.execute(
-      "SELECT * FROM players WHERE years LIKE ?",
-      [`%${year}%`]
+    const roster = await cache.wrap(`players:year:${year}`, () =>
+      playersRepo.rosterByYear(Number(year))
     );
-    memoryCache.playersByYear.set(year, result.rows); // Guardar en caché
-    res.json(result.rows);
+    setCacheHeaders(res, {
+      maxAge: HTTP_MAX_AGE.players,
+      lastModified: cache.changedAt("players"),
+    });
+    res.json(roster);
   } catch (error) {
     console.error("Error al obtener jugadores por año:", error.message);
     res.status(500).json({ error: "Error interno del servidor" });
   }
 });
 
+/**
+ * @swagger
+ * /players/search:
+ *   get:
+ *     summary: Busca jugadores por un nombre aproximado
+ *     description: >
+ *       Compara la búsqueda con el nickname, los alias antiguos y el nombre
+ *       real de cada jugador, sin distinguir mayúsculas ni tildes y tolerando
+ *       erratas. Devuelve las sugerencias de más a menos parecidas.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 50
+ *         example: "perks"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 5
+ *     responses:
+ *       200:
+ *         description: Sugerencias ordenadas por puntuación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 q:
+ *                   type: string
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 2
+ *                       nickname:
+ *                         type: string
+ *                         example: "Perkz"
+ *                       score:
+ *                         type: number
+ *                         description: Entre 0 y 1 (1 es exacto)
+ *                         example: 0.56
+ *                       matched:
+ *                         type: string
+ *                         enum: [nickname, alias, real_name]
+ *                       matched_value:
+ *                         type: string
+ *                         example: "Perkz"
+ *       400:
+ *         description: Falta q o limit no es válido
+ */
+app.get("/players/search", requireScope("read"), async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (!nicknameKey(q) || q.length > 50) {
+    return res.status(400).json({ error: "q es obligatorio (máximo 50 caracteres)" });
+  }
+  const limit = req.query.limit === undefined ? 5 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+    return res.status(400).json({ error: "limit debe ser un entero entre 1 y 20" });
+  }
+  try {
+    // Se puntúa en memoria: son pocas decenas de jugadores
+    const candidates = await cache.wrap("players:search-candidates", () =>
+      playersRepo.searchCandidates()
+    );
+    setCacheHeaders(res, {
+      maxAge: HTTP_MAX_AGE.players,
+      lastModified: cache.changedAt("players"),
+    });
+    res.json({ q, suggestions: rankSuggestions(candidates, q, { limit }) });
+  } catch (error) {
+    console.error("Error al buscar jugadores:", error.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
 /**
  * @swagger
  * /players/{identifier}:
  *   get:
- *     summary: Obtiene un jugador por ID o nickname
+ *     summary: Obtiene un jugador por ID, nickname o alias
+ *     description: >
+ *       Incluye su trayectoria en G2, temporada a temporada. El nickname no
+ *       distingue mayúsculas ni tildes. Si se busca por un nombre antiguo
+ *       (alias), devuelve el jugador con matched_alias y redirect, la ruta
+ *       canónica, que también va en la cabecera Link (rel="canonical").
  *     parameters:
  *       - in: path
  *         name: identifier
  *         required: true
  *         schema:
  *           type: string
- *         description: ID o nickname del jugador
+ *         description: ID, nickname o alias del jugador
  *     responses:
  *       200:
  *         description: Información del jugador
@@ -522,24 +1160,63 @@ app.get("/players/year/:year", async (req, res) => {
  *                 years:
  *                   type: string
  *                   example: "2023,2024"
+ *                 aliases:
+ *                   type: array
+ *                   description: Nombres anteriores del jugador
+ *                   items:
+ *                     type: string
+ *                 matched_alias:
+ *                   type: string
+ *                   description: Solo si se buscó por un alias
+ *                 redirect:
+ *                   type: string
+ *                   description: Solo si se buscó por un alias
+ *                   example: "/players/PlayerOne"
+ *                 seasons:
+ *                   type: array
+ *                   description: Temporadas en orden cronológico
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       year:
+ *                         type: integer
+ *                         example: 2024
+ *                       split:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "Summer"
+ *                       role:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "mid"
+ *                       starter:
+ *                         type: boolean
  *       404:
  *         description: Jugador no encontrado
  */
-app.get("/players/:identifier", async (req, res) => {
+app.get("/players/:identifier", requireScope("read"), async (req, res) => {
   const { identifier } = req.params;
   try {
-    if (memoryCache.playerByIdOrNickname.has(identifier)) {
-      return res.json(memoryCache.playerByIdOrNickname.get(identifier));
-    }
-    const result = await db.execute(
-      "SELECT * FROM players WHERE id = ? OR nickname = ?",
-      [identifier, identifier]
+    // Los 404 también se guardan (menos tiempo) para no repetir la consulta.
+    // La clave va normalizada: /players/caps y /players/CAPS comparten entrada
+    const player = await cache.wrap(
+      `players:id:${nicknameKey(identifier)}`,
+      () => playersRepo.findByIdentifier(identifier),
+      { tags: (found) => (found ? [`player:${found.id}`] : []) }
     );
-    if (result.rows.length === 0) {
+    if (!player) {
       return res.status(404).json({ error: "Jugador no encontrado" });
     }
-    memoryCache.playerByIdOrNickname.set(identifier, result.rows[0]); // Guardar en caché
-    res.json(result.rows[0]);
+    setCacheHeaders(res, {
+      maxAge: HTTP_MAX_AGE.players,
+      lastModified: cache.changedAt("players", `player:${player.id}`),
+    });
+    if (player.matched_alias) {
+      const canonical = `/players/${encodeURIComponent(player.nickname)}`;
+      res.set("Link", `<${canonical}>; rel="canonical"`);
+      return res.json({ ...player, redirect: canonical });
+    }
+    res.json(player);
   } catch (error) {
     console.error("Error al obtener jugador:", error.message);
     res.status(500).json({ error: "Error interno del servidor" });
@@ -548,38 +1225,753 @@ app.get("/players/:identifier", async (req, res) => {
 
 /**
  * @swagger
- * /cache/clear:
+ * components:
+ *   schemas:
+ *     Season:
+ *       type: object
+ *       required: [year]
+ *       properties:
+ *         year:
+ *           type: integer
+ *           example: 2024
+ *         split:
+ *           type: string
+ *           nullable: true
+ *           enum: [Winter, Spring, Summer]
+ *           description: null si es el año completo
+ *         role:
+ *           type: string
+ *           nullable: true
+ *           enum: [top, jungle, mid, bot, support, coach]
+ *         starter:
+ *           type: boolean
+ *           default: true
+ *     PlayerInput:
+ *       type: object
+ *       properties:
+ *         nickname:
+ *           type: string
+ *           example: "Caps"
+ *         real_name:
+ *           type: string
+ *           nullable: true
+ *           example: "Rasmus Borregaard Winther"
+ *         nationality:
+ *           type: string
+ *           nullable: true
+ *           example: "DK"
+ *         aliases:
+ *           type: array
+ *           description: >
+ *             Sustituye los nombres anteriores del jugador. Al cambiar el
+ *             nickname, el antiguo se añade solo.
+ *           items:
+ *             type: string
+ *         seasons:
+ *           type: array
+ *           description: Sustituye todas las temporadas del jugador
+ *           items:
+ *             $ref: '#/components/schemas/Season'
+ *     YearInput:
+ *       type: object
+ *       required: [year]
+ *       properties:
+ *         year:
+ *           type: string
+ *           example: "2026"
+ * /players:
  *   post:
- *     summary: Limpia manualmente la caché
+ *     summary: Da de alta un jugador con sus temporadas
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PlayerInput'
+ *     responses:
+ *       201:
+ *         description: Jugador creado (con seasons)
+ *       400:
+ *         description: Datos inválidos
+ *       409:
+ *         description: Ya hay un jugador con ese nickname o alias
+ * /players/{id}:
+ *   put:
+ *     summary: Sustituye un jugador (nickname y todas sus temporadas)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PlayerInput'
  *     responses:
  *       200:
- *         description: Caché limpiada exitosamente
- *         content:
- *           application/json:
- *             schema:
+ *         description: Jugador actualizado
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Jugador no encontrado
+ *       409:
+ *         description: Ya hay otro jugador con ese nickname o alias
+ *   patch:
+ *     summary: Modifica el nickname o las temporadas de un jugador
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PlayerInput'
+ *     responses:
+ *       200:
+ *         description: Jugador actualizado
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Jugador no encontrado
+ *       409:
+ *         description: Ya hay otro jugador con ese nickname o alias
+ *   delete:
+ *     summary: Borra un jugador y sus temporadas
+ *     description: Sus cuentas de SoloQ se mantienen, sin jugador enlazado.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Jugador borrado
+ *       404:
+ *         description: Jugador no encontrado
+ */
+// Un cambio de jugadores invalida listas, plantillas y fichas. El ranking no:
+// recalcularlo es un scraping, y /ranking pone los nicknames al servirlo
+function invalidatePlayers() {
+  cache.invalidateTags("players");
+}
+
+async function savePlayer(req, res, { partial }) {
+  const { error, value } = validatePlayerInput(req.body, { partial });
+  if (error) return res.status(400).json({ error });
+  const id = req.params.id;
+  try {
+    // Primero si existe: un id inexistente es 404 aunque el nickname choque
+    if (id !== undefined && !(await playersRepo.findById(id))) {
+      return res.status(404).json({ error: "Jugador no encontrado" });
+    }
+    if (value.nickname && (await playersRepo.nicknameTaken(value.nickname, id ?? null))) {
+      return res.status(409).json({ error: "Ya existe un jugador con ese nickname o alias" });
+    }
+    const takenAlias = value.aliases && (await playersRepo.aliasTaken(value.aliases, id ?? null));
+    if (takenAlias) {
+      return res.status(409).json({ error: `El alias ${takenAlias} ya es de otro jugador` });
+    }
+    if (id === undefined) {
+      const player = await playersRepo.create(value);
+      invalidatePlayers();
+      return res.status(201).json(player);
+    }
+    const player = await playersRepo.update(id, value);
+    if (!player) return res.status(404).json({ error: "Jugador no encontrado" });
+    invalidatePlayers();
+    res.json(player);
+  } catch (err) {
+    // Otra escritura simultánea se llevó el nickname o el alias
+    if (/UNIQUE/i.test(err.message)) {
+      return res.status(409).json({ error: "Ya existe un jugador con ese nickname o alias" });
+    }
+    console.error("Error al guardar jugador:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+}
+
+app.post("/players", requireScope("admin"), (req, res) =>
+  savePlayer(req, res, { partial: false })
+);
+app.put("/players/:id", requireScope("admin"), (req, res) =>
+  savePlayer(req, res, { partial: false })
+);
+app.patch("/players/:id", requireScope("admin"), (req, res) =>
+  savePlayer(req, res, { partial: true })
+);
+
+app.delete("/players/:id", requireScope("admin"), async (req, res) => {
+  try {
+    if (!(await playersRepo.remove(req.params.id))) {
+      return res.status(404).json({ error: "Jugador no encontrado" });
+    }
+    invalidatePlayers();
+    res.status(204).end();
+  } catch (err) {
+    console.error("Error al borrar jugador:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * @swagger
+ * /years:
+ *   post:
+ *     summary: Añade un año
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/YearInput'
+ *     responses:
+ *       201:
+ *         description: Año creado
+ *       400:
+ *         description: Año no válido
+ *       409:
+ *         description: El año ya existe
+ * /years/{id}:
+ *   put:
+ *     summary: Cambia un año
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/YearInput'
+ *     responses:
+ *       200:
+ *         description: Año actualizado
+ *       400:
+ *         description: Año no válido
+ *       404:
+ *         description: Año no encontrado
+ *       409:
+ *         description: El año ya existe
+ *   patch:
+ *     summary: Cambia un año (igual que PUT; year es el único campo)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/YearInput'
+ *     responses:
+ *       200:
+ *         description: Año actualizado
+ *       404:
+ *         description: Año no encontrado
+ *   delete:
+ *     summary: Borra un año
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Año borrado
+ *       404:
+ *         description: Año no encontrado
+ */
+async function saveYear(req, res) {
+  const { error, value } = validateYearInput(req.body);
+  if (error) return res.status(400).json({ error });
+  const id = req.params.id;
+  try {
+    if (await yearsRepo.yearTaken(value.year, id ?? null)) {
+      return res.status(409).json({ error: "Ese año ya existe" });
+    }
+    if (id === undefined) {
+      const year = await yearsRepo.create(value);
+      cache.invalidateTags("years");
+      return res.status(201).json(year);
+    }
+    const year = await yearsRepo.update(id, value);
+    if (!year) return res.status(404).json({ error: "Año no encontrado" });
+    cache.invalidateTags("years");
+    res.json(year);
+  } catch (err) {
+    console.error("Error al guardar año:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+}
+
+app.post("/years", requireScope("admin"), saveYear);
+app.put("/years/:id", requireScope("admin"), saveYear);
+app.patch("/years/:id", requireScope("admin"), saveYear);
+
+app.delete("/years/:id", requireScope("admin"), async (req, res) => {
+  try {
+    if (!(await yearsRepo.remove(req.params.id))) {
+      return res.status(404).json({ error: "Año no encontrado" });
+    }
+    cache.invalidateTags("years");
+    res.status(204).end();
+  } catch (err) {
+    console.error("Error al borrar año:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * @swagger
+ * /cache/stats:
+ *   get:
+ *     summary: Estado de la caché en memoria
+ *     description: >
+ *       Entradas, aciertos y fallos desde que arrancó el servidor, en total y
+ *       por recurso (years, players, matches, ranking). El tamaño máximo se
+ *       configura con CACHE_MAX_ENTRIES (500 por defecto).
+ *     responses:
+ *       200:
+ *         description: Estadísticas de la caché
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: integer
+ *                   example: 12
+ *                 max_entries:
+ *                   type: integer
+ *                   example: 500
+ *                 evictions:
+ *                   type: integer
+ *                   description: Entradas descartadas por falta de sitio
+ *                 hits:
+ *                   type: integer
+ *                 misses:
+ *                   type: integer
+ *                 hit_rate:
+ *                   type: number
+ *                   nullable: true
+ *                   example: 0.92
+ *                 resources:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       entries:
+ *                         type: integer
+ *                       hits:
+ *                         type: integer
+ *                       misses:
+ *                         type: integer
+ *                       hit_rate:
+ *                         type: number
+ *                         nullable: true
+ */
+app.get("/cache/stats", requireScope("read"), (req, res) => {
+  res.json(cache.stats());
+});
+
+/**
+ * @swagger
+ * /cache/clear:
+ *   post:
+ *     summary: Limpia manualmente la caché
+ *     parameters:
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Solo las entradas con ese tag (p. ej. "players", "player:12",
+ *           "matches" o "ranking"). Sin él se vacía entera.
+ *     responses:
+ *       200:
+ *         description: Caché limpiada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: object
  *               properties:
  *                 message:
  *                   type: string
  *                   example: "Caché limpiada"
+ *                 removed:
+ *                   type: integer
+ *                   example: 7
+ */
+app.post("/cache/clear", requireScope("admin"), (req, res) => {
+  const { tag } = req.query;
+  const removed = tag ? cache.invalidateTags(String(tag)) : cache.clear();
+  res.json({ message: "Caché limpiada", removed });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 2
+ *         label:
+ *           type: string
+ *           example: frontend
+ *         prefix:
+ *           type: string
+ *           description: Primeros caracteres de la clave, para reconocerla
+ *           example: g2h_Xk3a
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [read, sync, admin]
+ *         revoked:
+ *           type: boolean
+ *         created_at:
+ *           type: string
+ *         revoked_at:
+ *           type: string
+ *           nullable: true
+ * /api-keys:
+ *   get:
+ *     summary: Lista las claves de API (sin el valor de la clave)
+ *     responses:
+ *       200:
+ *         description: Claves creadas, incluidas las revocadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *   post:
+ *     summary: Crea una clave de API
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [label, scopes]
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 example: frontend
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [read, sync, admin]
+ *                 example: [read]
+ *     responses:
+ *       201:
+ *         description: Clave creada; "key" solo se devuelve esta vez
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *       400:
+ *         description: Datos inválidos
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revoca una clave de API
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Clave revocada
+ *       404:
+ *         description: Clave no encontrada
  */
-app.post("/cache/clear", (req, res) => {
-  memoryCache.years = null;
-  memoryCache.players = null;
-  memoryCache.playersByYear.clear();
-  memoryCache.playerByIdOrNickname.clear();
-  memoryCache.ranking = null;
-  memoryCache.rankingTimestamp = null;
-  memoryCache.matches = null;
-  memoryCache.matchesTimestamp = null;
-  res.json({ message: "Caché limpiada" });
+app.get("/api-keys", requireScope("admin"), async (req, res) => {
+  try {
+    res.json(await apiKeysRepo.list());
+  } catch (err) {
+    console.error("Error al obtener las claves de API:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+app.post("/api-keys", requireScope("admin"), async (req, res) => {
+  const { error, value } = validateKeyInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    res.status(201).json(await apiKeysRepo.create(value));
+  } catch (err) {
+    console.error("Error al crear la clave de API:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+app.delete("/api-keys/:id", requireScope("admin"), async (req, res) => {
+  try {
+    const apiKey = await apiKeysRepo.revoke(req.params.id);
+    if (!apiKey) return res.status(404).json({ error: "Clave no encontrada" });
+    res.json(apiKey);
+  } catch (err) {
+    console.error("Error al revocar la clave de API:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+/**
+ * @swagger
+ * /jobs:
+ *   get:
+ *     summary: Estado de las tareas programadas (sincronizaciones y ranking)
+ *     description: >
+ *       Intervalos configurables con JOB_MATCHES_SYNC_MINUTES,
+ *       JOB_MATCHES_SYNC_DPM_MINUTES y JOB_RANKING_MINUTES (0 = solo bajo demanda).
+ *     responses:
+ *       200:
+ *         description: Una entrada por tarea
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: matches-sync
+ *                   interval_ms:
+ *                     type: integer
+ *                     example: 3600000
+ *                   running:
+ *                     type: boolean
+ *                   last_run:
+ *                     type: object
+ *                     nullable: true
+ *                     properties:
+ *                       started_at:
+ *                         type: string
+ *                         format: date-time
+ *                       finished_at:
+ *                         type: string
+ *                         format: date-time
+ *                       duration_ms:
+ *                         type: integer
+ *                       outcome:
+ *                         type: string
+ *                         enum: [ok, error]
+ *                       error:
+ *                         type: string
+ *                   next_run:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ */
+app.get("/jobs", requireScope("read"), (req, res) => {
+  res.json(scheduler.status());
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SyncRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 42
+ *         source:
+ *           type: string
+ *           enum: [liquipedia, dpm.lol]
+ *         status:
+ *           type: string
+ *           enum: [running, ok, degraded, error]
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         duration_ms:
+ *           type: integer
+ *           nullable: true
+ *         fetched:
+ *           type: integer
+ *           nullable: true
+ *           description: Filas que devolvió el scraper (0 suele indicar que la web cambió)
+ *         added:
+ *           type: integer
+ *         updated:
+ *           type: integer
+ *         removed:
+ *           type: integer
+ *         error:
+ *           type: string
+ *           nullable: true
+ * /sync/runs:
+ *   get:
+ *     summary: Historial de sincronizaciones de partidos
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [liquipedia, dpm.lol]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, ok, degraded, error]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Ejecuciones de la más reciente a la más antigua
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 runs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SyncRun'
+ *       400:
+ *         description: Parámetros inválidos
+ * /sync/runs/{id}:
+ *   get:
+ *     summary: Detalle de una sincronización con los partidos que cambió
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: >
+ *           La ejecución con "changes": una entrada por partido añadido, cambiado
+ *           (con los campos from/to, p. ej. la hora) o quitado de próximos.
+ *       404:
+ *         description: Sincronización no encontrada
+ */
+app.get("/sync/runs", requireScope("read"), async (req, res) => {
+  const invalid = invalidQueryParam(req.query, ["source", "status", "limit", "offset"]);
+  if (invalid) {
+    return res.status(400).json({ error: `${invalid} solo admite un valor` });
+  }
+  const { source, status } = req.query;
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: "limit debe estar entre 1 y 100" });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: "offset debe ser un entero >= 0" });
+  }
+
+  try {
+    const { total, runs } = await syncRunsRepo.list({ source, status, limit, offset });
+    res.json({ total, limit, offset, runs });
+  } catch (err) {
+    console.error("Error al obtener las sincronizaciones:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
+app.get("/sync/runs/:id", requireScope("read"), async (req, res) => {
+  try {
+    const run = await syncRunsRepo.findById(req.params.id);
+    if (!run) return res.status(404).json({ error: "Sincronización no encontrada" });
+    res.json(run);
+  } catch (err) {
+    console.error("Error al obtener la sincronización:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
 });
 
+// ¿El ranking en caché sigue siendo válido?
+function rankingIsFresh() {
+  return cache.has("ranking");
+}
+
+// Solo cuentan para el límite de scraping las peticiones que lanzarían uno:
+// con la caché al día o con el scraping ya en marcha no se abre Chromium
+const rankingScrapeLimiter = scrapeLimiter(
+  () => rankingIsFresh() || scheduler.isRunning("ranking")
+);
+
+// Segundos que se pide esperar (Retry-After) si aún no hay ninguna foto
+const RANKING_RETRY_AFTER = 60;
+
+// El ranking guardado lleva el nickname de cuando se calculó: se sustituye
+// por el actual del jugador enlazado. Si el jugador ya no existe, la cuenta
+// queda sin jugador
+async function withCurrentNicknames(ranking) {
+  const nicknames = await cache.wrap("players:nicknames", () => playersRepo.nicknamesById());
+  return ranking.map((r) => {
+    if (r.player_id === null) return r;
+    if (!nicknames[r.player_id]) return { ...r, player_id: null };
+    return { ...r, nickname: nicknames[r.player_id] };
+  });
+}
+
 /**
  * @swagger
  * /ranking:
  *   get:
  *     summary: Obtiene el ranking de SoloQ para jugadores de G2 Esports
+ *     description: >
+ *       Las cuentas que se buscan salen de la tabla soloq_accounts (ver /soloq/accounts).
+ *       Se recorren las páginas del leaderboard de cada región hasta encontrarlas
+ *       (OPGG_MAX_PAGES, 10 por defecto); las que no aparecen vuelven con
+ *       status "not_found" y tier, lp y rank a null. El scraping nunca se
+ *       hace durante la petición: con la caché caducada se lanza en segundo
+ *       plano y se sirve la última foto guardada (Last-Modified es su fecha).
  *     responses:
  *       200:
  *         description: Lista de jugadores con su posición en el ranking
@@ -593,309 +1985,381 @@ app.post("/cache/clear", (req, res) => {
  *                   nickname:
  *                     type: string
  *                     example: BrokenBlade
+ *                   status:
+ *                     type: string
+ *                     enum: [ranked, not_found]
  *                   tier:
  *                     type: string
+ *                     nullable: true
  *                     example: Challenger
  *                   lp:
  *                     type: integer
+ *                     nullable: true
  *                     example: 2078
  *                   rank:
+ *                     type: string
+ *                     nullable: true
+ *                     example: "1"
+ *                   region:
+ *                     type: string
+ *                     example: euw
+ *                   riot_id:
+ *                     type: string
+ *                     example: "G2 BrokenBlade#EUW"
+ *                   player_id:
  *                     type: integer
- *                     example: 1
+ *                     nullable: true
+ *                     example: 12
  *                   img:
  *                     type: string
  *                     example: "https://opgg-static.akamaized.net/meta/images/profile_icons/profileIcon3220.jpg"
+ *       429:
+ *         description: Demasiadas peticiones que lanzan scraping; ver Retry-After
+ *       503:
+ *         description: Aún no hay ninguna foto del ranking; ver Retry-After
  *       500:
  *         description: Error interno del servidor
  */
-app.get("/ranking", async (req, res) => {
+app.get("/ranking", requireScope("read"), rankingScrapeLimiter, async (req, res) => {
   try {
-    const now = Date.now();
-    if (
-      memoryCache.ranking &&
-      memoryCache.rankingTimestamp &&
-      now - memoryCache.rankingTimestamp < CACHE_DURATION
-    ) {
-      console.log("Usando caché para el ranking");
-      return res.json(memoryCache.ranking);
+    let ranking = cache.get("ranking");
+    let lastModified = cache.changedAt("ranking", "players");
+    if (!ranking) {
+      scheduler
+        .run("ranking")
+        .catch((err) => console.error("Error al actualizar el ranking:", err.message));
+      const snapshot = await rankingRepo.latest();
+      if (!snapshot) {
+        res.set("Retry-After", String(RANKING_RETRY_AFTER));
+        return res
+          .status(503)
+          .json({ error: "El ranking se está calculando, inténtalo en un momento" });
+      }
+      ranking = snapshot.ranking;
+      lastModified = Math.max(Date.parse(snapshot.taken_at), cache.changedAt("players"));
     }
+    setCacheHeaders(res, { maxAge: HTTP_MAX_AGE.ranking, lastModified });
+    res.json(await withCurrentNicknames(ranking));
+  } catch (error) {
+    console.error("Error al obtener el ranking:", error.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
 
-    const browser = await playwright.chromium.launch({
-      headless: true,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-accelerated-2d-canvas",
-        "--disable-gpu",
-        "--no-zygote",
-        "--single-process",
-      ],
-    });
-
-    const context = await browser.newContext({
-      userAgent:
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/58.0.3029.110 Safari/537.3",
-      viewport: { width: 1280, height: 720 },
-    });
+/**
+ * @swagger
+ * /ranking/history/{nickname}:
+ *   get:
+ *     summary: Evolución de tier, LP y posición de un jugador
+ *     description: Una serie por cuenta (un jugador puede tener varias) con una foto por cada scraping de /ranking.
+ *     parameters:
+ *       - in: path
+ *         name: nickname
+ *         required: true
+ *         description: Nickname actual o anterior (alias) del jugador; las fotos de antes de un cambio de nombre salen en la misma serie
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Si es solo fecha (YYYY-MM-DD) incluye el día completo
+ *     responses:
+ *       200:
+ *         description: Series de fotos del jugador
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nickname:
+ *                   type: string
+ *                 accounts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       riot_id:
+ *                         type: string
+ *                       region:
+ *                         type: string
+ *                       points:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             taken_at:
+ *                               type: string
+ *                               format: date-time
+ *                             status:
+ *                               type: string
+ *                             tier:
+ *                               type: string
+ *                               nullable: true
+ *                             lp:
+ *                               type: integer
+ *                               nullable: true
+ *                             rank:
+ *                               type: string
+ *                               nullable: true
+ *       400:
+ *         description: Fecha inválida
+ *       404:
+ *         description: No hay fotos de ese jugador en el rango
+ */
+app.get("/ranking/history/:nickname", requireScope("read"), async (req, res) => {
+  const range = parseDateRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
 
-    const page = await context.newPage();
-    await page.goto(
-      "https://www.op.gg/leaderboards/tier?region=euw&type=ladder&page=1",
-      { waitUntil: "domcontentloaded", timeout: 60000 }
+  try {
+    // Por jugador (nickname actual o alias), no por el nickname de cada foto:
+    // tras un cambio de nombre la serie sigue siendo una
+    const player = await playersRepo.findByIdentifier(req.params.nickname);
+    const accounts = await rankingRepo.history(
+      player ? { playerId: player.id } : { nickname: req.params.nickname },
+      range
     );
+    if (accounts.length === 0) {
+      return res.status(404).json({ error: "Sin histórico para ese jugador" });
+    }
+    res.json({ nickname: player ? player.nickname : req.params.nickname, accounts });
+  } catch (err) {
+    console.error("Error al obtener el histórico del ranking:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
 
-    const rankingData = await page.evaluate(() => {
-      const targetNicknames = [
-        "g2 brokenblade",
-        "g2 skewmond",
-        "g2 caps",
-        "g2 hans sama",
-        "g2 labrov",
-      ];
-
-      const players = Array.from(document.querySelectorAll("tr")).filter(
-        (row) => {
-          const nicknameContainer = row.querySelector(
-            "td:nth-child(2) .text-gray-900"
-          );
-          if (!nicknameContainer) return false;
-
-          const nicknameText = nicknameContainer.textContent
-            .trim()
-            .toLowerCase();
-          return targetNicknames.includes(nicknameText);
-        }
-      );
-
-      return players.map((row) => {
-        const nicknameContainer = row.querySelector(
-          "td:nth-child(2) .text-gray-900"
-        );
-        const nicknameText = nicknameContainer
-          ? nicknameContainer.textContent.trim()
-          : "Unknown";
-        const nickname = nicknameText.replace(/^G2\s+/i, "").trim();
-
-        const tier =
-          row.querySelector("td:nth-child(3) div.hidden")?.textContent.trim() ||
-          "Unknown";
-        const formattedTier = tier.charAt(0).toUpperCase() + tier.slice(1);
-
-        const lpText =
-          row
-            .querySelector("td:nth-child(4) div")
-            ?.textContent.replace(/,/g, "")
-            .trim() || "0";
-        const lp = parseInt(lpText, 10);
-
-        const rank =
-          row.querySelector("td:nth-child(1)")?.textContent.trim() || "Unknown";
-
-        return {
-          nickname,
-          tier: formattedTier,
-          lp,
-          rank,
-        };
-      });
-    });
-
-    await browser.close();
+/**
+ * @swagger
+ * /ranking/changes:
+ *   get:
+ *     summary: Diferencia de LP de cada cuenta respecto al día o la semana anterior
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Última foto de cada cuenta, la foto de referencia y el delta (null si no hay foto tan antigua)
+ *       400:
+ *         description: Periodo inválido
+ */
+app.get("/ranking/changes", requireScope("read"), async (req, res) => {
+  const period = req.query.period || "day";
+  if (!Object.hasOwn(PERIODS, period)) {
+    return res.status(400).json({ error: "period debe ser day o week" });
+  }
 
-    const sortedRankingData = rankingData.sort((a, b) => b.lp - a.lp);
-    memoryCache.ranking = sortedRankingData;
-    memoryCache.rankingTimestamp = now;
-    res.json(sortedRankingData);
-  } catch (error) {
-    console.error("Error al obtener el ranking:", error.message);
+  try {
+    res.json({ period, changes: await rankingRepo.changes(period) });
+  } catch (err) {
+    console.error("Error al calcular los cambios del ranking:", err.message);
     res.status(500).json({ error: "Error interno del servidor" });
   }
 });
 
 /**
  * @swagger
- * /matches/sync:
- *   post:
- *     summary: Sincroniza los próximos partidos de G2 Esports desde Liquipedia
+ * components:
+ *   schemas:
+ *     SoloqAccount:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 3
+ *         player_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 12
+ *         player_nickname:
+ *           type: string
+ *           nullable: true
+ *           example: Caps
+ *         riot_id:
+ *           type: string
+ *           example: "G2 Caps#1323"
+ *         region:
+ *           type: string
+ *           example: euw
+ *         active:
+ *           type: boolean
+ *           example: true
+ *     SoloqAccountInput:
+ *       type: object
+ *       properties:
+ *         riot_id:
+ *           type: string
+ *           example: "G2 Caps#1323"
+ *         region:
+ *           type: string
+ *           default: euw
+ *         player_id:
+ *           type: integer
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ * /soloq/accounts:
+ *   get:
+ *     summary: Lista las cuentas de SoloQ que sigue /ranking
  *     responses:
  *       200:
- *         description: Lista de próximos partidos con fecha, rival, torneo y enlace al match
+ *         description: Cuentas registradas
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   opponent:
- *                     type: string
- *                   date:
- *                     type: string
- *                     format: date-time
- *                   rawDate:
- *                     type: string
- *                   tournament:
- *                     type: string
- *                   matchLink:
- *                     type: string
+ *                 $ref: '#/components/schemas/SoloqAccount'
+ *   post:
+ *     summary: Añade una cuenta de SoloQ al seguimiento
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SoloqAccountInput'
+ *     responses:
+ *       201:
+ *         description: Cuenta creada
+ *       400:
+ *         description: Datos inválidos
+ *       409:
+ *         description: La cuenta ya existe en esa región
+ * /soloq/accounts/{id}:
+ *   patch:
+ *     summary: Modifica una cuenta (Riot ID, región, jugador o si está activa)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SoloqAccountInput'
+ *     responses:
+ *       200:
+ *         description: Cuenta actualizada
+ *       404:
+ *         description: Cuenta no encontrada
+ *   delete:
+ *     summary: Deja de seguir una cuenta
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Cuenta eliminada
+ *       404:
+ *         description: Cuenta no encontrada
  */
-app.post("/matches/sync", async (req, res) => {
-  let browser;
-  try {
-    browser = await playwright.chromium.launch({
-      headless: true,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-accelerated-2d-canvas",
-        "--disable-gpu",
-        "--no-zygote",
-        "--single-process",
-      ],
-    });
-
-    const context = await browser.newContext({
-      userAgent:
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) " +
-        "AppleWebKit/537.36 (KHTML, like Gecko) " +
-        "Chrome/114.0.0.0 Safari/537.36",
-      viewport: { width: 1280, height: 720 },
-    });
+// Un cambio en las cuentas seguidas invalida el ranking cacheado
+function invalidateRanking() {
+  cache.invalidateTags("ranking");
+}
 
-    const page = await context.newPage();
-    await page.goto("https://liquipedia.net/leagueoflegends/G2_Esports", {
-      waitUntil: "networkidle",
-      timeout: 60000,
-    });
+// Errores de restricción de la BD que se deben a los datos enviados
+function soloqConstraintError(err) {
+  if (/UNIQUE/i.test(err.message)) {
+    return { status: 409, error: "Esa cuenta ya existe en esa región" };
+  }
+  if (/FOREIGN KEY/i.test(err.message)) {
+    return { status: 400, error: "player_id no existe" };
+  }
+  return null;
+}
 
-    // 1) Asegurarnos de que el panel "Upcoming Matches" está ya en el DOM
-    await page.waitForSelector(".fo-nttax-infobox.panel .infobox-header", {
-      timeout: 60000,
-    });
+app.get("/soloq/accounts", requireScope("admin"), async (req, res) => {
+  try {
+    res.json(await soloqRepo.list());
+  } catch (error) {
+    console.error("Error al obtener cuentas de SoloQ:", error.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
 
-    // 2) Scrapeamos cada tabla de partidos
-    const matches = await page.evaluate(() => {
-      const origin = location.origin;
-      // Buscamos el panel por su header
-      const panel = Array.from(
-        document.querySelectorAll(".fo-nttax-infobox.panel")
-      ).find((p) => {
-        const hdr = p.querySelector(".infobox-header");
-        return hdr?.textContent.trim().includes("Upcoming Matches");
-      });
-      if (!panel) return [];
-
-      const out = [];
-      for (const table of panel.querySelectorAll(
-        "table.infobox_matches_content"
-      )) {
-        const teamRow = table.querySelector("tr:nth-child(1)");
-        const infoRow = table.querySelector("tr:nth-child(2)");
-        if (!teamRow || !infoRow) continue;
-
-        // — Equipos y logos
-        const team1El = teamRow.querySelector(
-          "td.team-left .team-template-text a"
-        );
-        const team2El = teamRow.querySelector(
-          "td.team-right .team-template-text a"
-        );
-        const team1 = team1El?.textContent.trim() || null;
-        const team2 = team2El?.textContent.trim() || null;
+app.post("/soloq/accounts", requireScope("admin"), async (req, res) => {
+  const { error, value } = validateAccountInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const account = await soloqRepo.create(value);
+    invalidateRanking();
+    res.status(201).json(account);
+  } catch (err) {
+    const known = soloqConstraintError(err);
+    if (known) return res.status(known.status).json({ error: known.error });
+    console.error("Error al crear cuenta de SoloQ:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
 
-        const logo1El = teamRow.querySelector(
-          "td.team-left .team-template-image-icon img"
-        );
-        const logo2El = teamRow.querySelector(
-          "td.team-right .team-template-image-icon img"
-        );
-        const team1Logo = logo1El ? new URL(logo1El.src, origin).href : null;
-        const team2Logo = logo2El ? new URL(logo2El.src, origin).href : null;
-
-        // — Formato (Bo1, Bo3, Bo5…)
-        const boEl = teamRow.querySelector("td.versus .versus-lower abbr");
-        const bo = boEl?.textContent.trim() || null;
-
-        // — Fecha (texto + abreviatura de zona)
-        const dateEl = infoRow.querySelector(".timer-object-date");
-        const date = dateEl?.textContent.trim() || null;
-
-        // — Streams
-        const twitchEl = infoRow.querySelector('a[title*="twitch"]');
-        const youtubeEl = infoRow.querySelector('a[title*="youtube"]');
-        const twitch = twitchEl
-          ? new URL(twitchEl.getAttribute("href"), origin).href
-          : null;
-        const youtube = youtubeEl
-          ? new URL(youtubeEl.getAttribute("href"), origin).href
-          : null;
-
-        // — Torneo (nombre, URL, logo)
-        const tourEl = infoRow.querySelector(".tournament-text-flex a");
-        const tourName = tourEl?.textContent.trim() || null;
-        const tourUrl = tourEl
-          ? new URL(tourEl.getAttribute("href"), origin).href
-          : null;
-        const tourLogoEl = infoRow.querySelector(
-          ".league-icon-small-image img"
-        );
-        const tourLogo = tourLogoEl
-          ? new URL(tourLogoEl.getAttribute("src"), origin).href
-          : null;
-
-        if (team1 && team2) {
-          out.push({
-            id: `${team1}-${team2}-${
-              date ? date.replace(/\s+/g, "_") : "unknown"
-            }`,
-            team1,
-            team1Logo,
-            team2,
-            team2Logo,
-            bo,
-            date,
-            streams: { twitch, youtube },
-            tournament: { name: tourName, url: tourUrl, logo: tourLogo },
-          });
-        }
-      }
-      return out;
-    });
+app.patch("/soloq/accounts/:id", requireScope("admin"), async (req, res) => {
+  const { error, value } = validateAccountInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  try {
+    const account = await soloqRepo.update(req.params.id, value);
+    if (!account) return res.status(404).json({ error: "Cuenta no encontrada" });
+    invalidateRanking();
+    res.json(account);
+  } catch (err) {
+    const known = soloqConstraintError(err);
+    if (known) return res.status(known.status).json({ error: known.error });
+    console.error("Error al actualizar cuenta de SoloQ:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
 
-    // Borramos e insertamos en la BD
-    await db.execute("DELETE FROM matches_upcoming");
-    for (const m of matches) {
-      await db.execute(
-        `INSERT INTO matches_upcoming
-           (id, team1, team1Logo, team2, team2Logo,
-            bo, date, streams_twitch, streams_youtube,
-            tournament_name, tournament_url, tournament_logo)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          m.id,
-          m.team1,
-          m.team1Logo,
-          m.team2,
-          m.team2Logo,
-          m.bo,
-          m.date,
-          m.streams.twitch,
-          m.streams.youtube,
-          m.tournament.name,
-          m.tournament.url,
-          m.tournament.logo,
-        ]
-      );
+app.delete("/soloq/accounts/:id", requireScope("admin"), async (req, res) => {
+  try {
+    if (!(await soloqRepo.remove(req.params.id))) {
+      return res.status(404).json({ error: "Cuenta no encontrada" });
     }
+    invalidateRanking();
+    res.status(204).end();
+  } catch (err) {
+    console.error("Error al borrar cuenta de SoloQ:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
 
-    res.json({ status: "ok", updated: matches.length });
+/**
+ * @swagger
+ * /matches/sync:
+ *   post:
+ *     summary: Sincroniza los próximos partidos de G2 Esports desde Liquipedia
+ *     description: Cada ejecución queda registrada en /sync/runs.
+ *     responses:
+ *       200:
+ *         description: Resultado de la sincronización
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SyncResult'
+ *       429:
+ *         description: Demasiadas peticiones que lanzan scraping; ver Retry-After
+ */
+app.post("/matches/sync", requireScope("sync"), scrapeLimiter(), async (req, res) => {
+  try {
+    res.json(await scheduler.run("matches-sync"));
   } catch (err) {
     console.error("Error en /matches/sync:", err);
     res.status(500).json({ error: "Error al sincronizar partidos" });
-  } finally {
-    if (browser) await browser.close();
   }
 });
 
@@ -917,7 +2381,7 @@ app.post("/matches/sync", async (req, res) => {
  *                 properties:
  *                   id:
  *                     type: string
- *                     example: "G2 Esports-Fnatic-2025_06_20_18:00"
+ *                     example: "fnatic-g2-20250620T1800Z-bo5"
  *                   team1:
  *                     type: string
  *                     example: "G2 Esports"
@@ -935,7 +2399,13 @@ app.post("/matches/sync", async (req, res) => {
  *                     example: "BO5"
  *                   date:
  *                     type: string
- *                     example: "2025-06-20 18:00"
+ *                     format: date-time
+ *                     description: Inicio del partido en UTC
+ *                     example: "2025-06-20T18:00:00.000Z"
+ *                   date_raw:
+ *                     type: string
+ *                     description: Fecha tal y como la muestra la fuente
+ *                     example: "June 20, 2025 - 20:00 CEST"
  *                   streams_twitch:
  *                     type: string
  *                     example: "https://twitch.tv/lolesports"
@@ -967,18 +2437,151 @@ app.post("/matches/sync", async (req, res) => {
  *                   example: "Error interno del servidor"
  */
 
-app.get("/matches/upcoming", async (req, res) => {
+app.get("/matches/upcoming", requireScope("read"), async (req, res) => {
   try {
-    const result = await db.execute(
-      "SELECT * FROM matches_upcoming ORDER BY date"
-    );
-    res.json(result.rows);
+    const matches = await matchesRepo.listUpcoming();
+    setCacheHeaders(res, {
+      maxAge: HTTP_MAX_AGE.matches,
+      lastModified: cache.changedAt("matches"),
+    });
+    res.json(matches);
   } catch (err) {
     console.error("Error al obtener partidos desde BD:", err.message);
     res.status(500).json({ error: "Error interno del servidor" });
   }
 });
 
+/**
+ * @swagger
+ * /matches/history:
+ *   get:
+ *     summary: Obtiene el historial de partidos jugados por G2 Esports
+ *     description: Partidos ya terminados, archivados por las sincronizaciones con su marcador, ganador y fuente.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha mínima (incluida), p. ej. 2025-06-01
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha máxima (incluida), p. ej. 2025-06-30
+ *       - in: query
+ *         name: opponent
+ *         schema:
+ *           type: string
+ *         description: Nombre (o parte) del rival
+ *       - in: query
+ *         name: tournament
+ *         schema:
+ *           type: string
+ *         description: Nombre (o parte) del torneo
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Página del historial de partidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   example: 42
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *                 matches:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       team1:
+ *                         type: string
+ *                         example: "G2 Esports"
+ *                       team2:
+ *                         type: string
+ *                         example: "Fnatic"
+ *                       bo:
+ *                         type: string
+ *                         example: "BO5"
+ *                       date:
+ *                         type: string
+ *                         example: "2025-06-20T18:00:00.000Z"
+ *                       score:
+ *                         type: string
+ *                         example: "3-1"
+ *                       winner:
+ *                         type: string
+ *                         example: "G2 Esports"
+ *                       source:
+ *                         type: string
+ *                         example: "dpm.lol"
+ *                       tournament_name:
+ *                         type: string
+ *                         example: "LEC Summer 2025"
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ *       500:
+ *         description: Error interno del servidor
+ */
+app.get("/matches/history", requireScope("read"), async (req, res) => {
+  const invalid = invalidQueryParam(req.query, ["opponent", "tournament"]);
+  if (invalid) {
+    return res.status(400).json({ error: `${invalid} solo admite un valor` });
+  }
+  const { opponent, tournament } = req.query;
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({ error: "limit debe estar entre 1 y 200" });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: "offset debe ser un entero >= 0" });
+  }
+  const range = parseDateRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  try {
+    const { total, rows } = await matchesRepo.listHistory({
+      from: range.from,
+      to: range.to,
+      opponent,
+      tournament,
+      limit,
+      offset,
+    });
+    setCacheHeaders(res, {
+      maxAge: HTTP_MAX_AGE.history,
+      lastModified: cache.changedAt("matches"),
+    });
+    res.json({ total, limit, offset, matches: rows });
+  } catch (err) {
+    console.error("Error al obtener el historial de partidos:", err.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  }
+});
+
 /**
  * @swagger
  * /calendar/{id}:
@@ -990,107 +2593,45 @@ app.get("/matches/upcoming", async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: alarm
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Minutos de aviso antes del partido (0 = sin alarma)
  *     responses:
  *       200:
  *         description: Archivo .ics del partido
  */
-// Express endpoint para servir el .ics con autenticación interna
-app.get("/calendar/:id", async (req, res) => {
+app.get("/calendar/:id", requireScope("read"), async (req, res) => {
   const { id } = req.params;
+  const alarmMinutes = parseAlarmQuery(req.query.alarm);
+  if (Number.isNaN(alarmMinutes)) {
+    return res.status(400).json({ error: "alarm debe ser un número de minutos" });
+  }
 
   try {
-    // 1) Cargar o refrescar la caché de partidos con API_KEY
-    if (!memoryCache.matches) {
-      const response = await fetch(
-        "https://g2historyapi.fly.dev/matches/upcoming",
-        {
-          headers: {
-            // Asegúrate de definir process.env.API_KEY en tu entorno
-            Authorization: `Bearer ${process.env.API_KEY}`,
-          },
-        }
-      );
-
-      if (!response.ok) {
-        console.error(
-          "Error fetching upcoming matches:",
-          response.status,
-          response.statusText
-        );
-        return res
-          .status(response.status)
-          .json({ error: response.statusText });
-      }
-
-      const data = await response.json();
-      if (!Array.isArray(data)) {
-        console.error("Unexpected payload for matches:", data);
-        return res
-          .status(500)
-          .json({ error: "Formato inesperado de datos de partidos" });
-      }
-
-      memoryCache.matches = data;
-      memoryCache.matchesTimestamp = Date.now();
-    }
-
-    // 2) Buscar el partido por ID
-    const match = memoryCache.matches.find((m) => m.id === id);
+    // 1) Buscar el partido por ID (o por un alias: ids antiguos o de otra fuente)
+    const match = await matchesRepo.findById(id);
     if (!match) {
       return res.status(404).json({ error: "Partido no encontrado" });
     }
 
-    // 3) Parsear fechas
-    const rawDate = match.date
-      ?.replace(" - ", " ")
-      .replace(/UTC.*$/, "UTC");
-    const start = new Date(rawDate);
-    if (isNaN(start)) {
+    // 2) Construir contenido ICS (fechas guardadas en ISO UTC)
+    const lastModified = cache.changedAt("matches");
+    const event = ics.buildEvent(match, { now: new Date(lastModified), alarmMinutes });
+    if (!event) {
       return res.status(400).json({ error: "Fecha inválida" });
     }
-    const end = new Date(start.getTime() + 60 * 60 * 1000);
-
-    const formatICSDate = (d) =>
-      d.toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
-
-    // 4) Construir contenido ICS
-    const uid = `${match.id}@g2leaguehistory.online`;
-    const summary = `G2 vs ${match.team2} (${
-      match.tournament?.name || "Match"
-    })`;
-    const description = `Best of ${match.bo}. Watch live on: ${
-      match.streams?.twitch || match.streams?.youtube || ""
-    }`;
-    const location = "Online";
-
-    const ics = [
-      "BEGIN:VCALENDAR",
-      "VERSION:2.0",
-      "CALSCALE:GREGORIAN",
-      "METHOD:PUBLISH",
-      "PRODID:-//G2 Esports//Match Calendar//EN",
-      "BEGIN:VEVENT",
-      `UID:${uid}`,
-      `SUMMARY:${summary}`,
-      `DTSTAMP:${formatICSDate(new Date())}`,
-      `DTSTART:${formatICSDate(start)}`,
-      `DTEND:${formatICSDate(end)}`,
-      `DESCRIPTION:${description}`,
-      `LOCATION:${location}`,
-      "STATUS:CONFIRMED",
-      "SEQUENCE:0",
-      "TRANSP:OPAQUE",
-      "END:VEVENT",
-      "END:VCALENDAR",
-    ].join("\r\n");
-
-    // 5) Enviar el archivo ICS
-    res.setHeader("Content-Type", "text/calendar");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="match-${id}.ics"`
-    );
-    res.send(ics);
+    const calendar = ics.buildCalendar([event]);
+
+    // 3) Enviar el archivo ICS
+    setCacheHeaders(res, { maxAge: HTTP_MAX_AGE.history, lastModified });
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    // Los ids antiguos pueden traer cualquier carácter: en la cabecera solo [\w-]
+    const filename = `match-${String(match.id).replace(/[^\w-]+/g, "_")}.ics`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(calendar);
   } catch (error) {
     console.error("Error al generar .ics:", error);
     res.status(500).json({ error: "Error interno al generar archivo ICS" });
@@ -1098,8 +2639,42 @@ app.get("/calendar/:id", async (req, res) => {
 });
 
 
-// Iniciar servidor
-app.listen(PORT, () => {
-  console.log(`Servidor corriendo en http://localhost:${PORT}`);
-  console.log(`Documentación disponible en http://localhost:${PORT}/api-docs`);
-});
+// Iniciar servidor (los tests importan la app sin levantar el servidor)
+if (require.main === module) {
+  // No arrancamos con rutas de escritura o scraping sin proteger
+  assertRoutesProtected(app);
+
+  // Con el esquema a medias las rutas fallarían de formas raras: mejor no
+  // arrancar y que el despliegue lo marque como fallido
+  migrate()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`Servidor corriendo en http://localhost:${PORT}`);
+        console.log(`Documentación disponible en http://localhost:${PORT}/api-docs`);
+      });
+      scheduler.start();
+    })
+    .catch((err) => {
+      console.error("Error al aplicar las migraciones:", err.message);
+      process.exit(1);
+    });
+
+  // Parar las tareas y cerrar Chromium al parar la máquina
+  process.on("SIGTERM", () => {
+    scheduler.stop();
+    browserPool.close().finally(() => process.exit(0));
+  });
+}
+
+module.exports = {
+  app,
+  db,
+  migrate,
+  matchesRepo,
+  soloqRepo,
+  rankingRepo,
+  syncRunsRepo,
+  scheduler,
+  cache,
+  browserPool,
+};
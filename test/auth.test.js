@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createAuth, findUnprotectedRoutes, assertRoutesProtected } = require("../lib/auth");
+
+const { requireScope } = createAuth({
+  apiKeysRepo: { findByKey: async () => null },
+  envApiKey: "secret",
+});
+const noop = (req, res) => res.end();
+
+test("detecta rutas de escritura sin requireScope", () => {
+  const app = express();
+  app.get("/public", noop);
+  app.post("/sync", requireScope("sync"), noop);
+  app.post("/open", noop);
+  app.route("/items/:id").patch(requireScope("admin"), noop).delete(noop);
+
+  assert.deepEqual(findUnprotectedRoutes(app), ["POST /open", "DELETE /items/:id"]);
+  assert.deepEqual(findUnprotectedRoutes(app, { allow: ["POST /open"] }), [
+    "DELETE /items/:id",
+  ]);
+  assert.throws(() => assertRoutesProtected(app), /POST \/open, DELETE \/items\/:id/);
+});
+
+test("una app con todas las escrituras protegidas pasa la comprobación", () => {
+  const app = express();
+  app.get("/public", noop);
+  app.delete("/items/:id", requireScope("admin"), noop);
+  assert.doesNotThrow(() => assertRoutesProtected(app));
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createBrowserPool } = require("../lib/scrapers/browserPool");
+
+// Navegador falso con lo mínimo que usa el pool
+function fakeBrowser() {
+  let connected = true;
+  return {
+    on() {},
+    isConnected: () => connected,
+    newContext: async () => ({ newPage: async () => ({}), close: async () => {} }),
+    close: async () => {
+      connected = false;
+    },
+  };
+}
+
+test("check no lanza el navegador: comprueba el ejecutable", async () => {
+  let launches = 0;
+  const pool = createBrowserPool({
+    idleTimeout: 0,
+    launch: async () => {
+      launches++;
+      return fakeBrowser();
+    },
+    // Cualquier ejecutable que exista
+    executablePath: () => process.execPath,
+  });
+
+  assert.equal((await pool.check()).ok, true);
+  assert.equal(launches, 0);
+
+  // Abierto por un scraping, basta con que siga conectado
+  await pool.withPage(async () => {});
+  assert.equal((await pool.check({ maxAge: 0 })).ok, true);
+  assert.equal(launches, 1);
+  await pool.close();
+});
+
+test("check informa si falta el ejecutable y no repite hasta que caduca", async () => {
+  let lookups = 0;
+  const pool = createBrowserPool({
+    launch: async () => fakeBrowser(),
+    executablePath: () => {
+      lookups++;
+      return "/no/existe/chrome";
+    },
+  });
+
+  const result = await pool.check();
+  assert.equal(result.ok, false);
+  assert.match(result.error, /ENOENT/);
+  await pool.check();
+  assert.equal(lookups, 1);
+
+  await pool.check({ maxAge: 0 });
+  assert.equal(lookups, 2);
+});
+
+test("check informa del último lanzamiento fallido", async () => {
+  const pool = createBrowserPool({
+    launch: async () => {
+      throw new Error("Failed to launch: missing libnss3");
+    },
+    executablePath: () => process.execPath,
+  });
+
+  await assert.rejects(pool.withPage(async () => {}), /libnss3/);
+  const result = await pool.check();
+  assert.equal(result.ok, false);
+  assert.match(result.error, /libnss3/);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createCache } = require("../lib/cache");
+
+test("las entradas caducan con su TTL", () => {
+  let clock = 0;
+  const cache = createCache({ now: () => clock });
+  cache.set("years", [1], { ttl: 1000 });
+  assert.deepEqual(cache.get("years"), [1]);
+  clock = 1000;
+  assert.equal(cache.get("years"), undefined);
+});
+
+test("al pasarse de maxEntries descarta la menos usada", () => {
+  const cache = createCache({ maxEntries: 2 });
+  cache.set("players:id:1", "a");
+  cache.set("players:id:2", "b");
+  cache.get("players:id:1");
+  cache.set("players:id:3", "c");
+
+  assert.equal(cache.has("players:id:2"), false);
+  assert.equal(cache.has("players:id:1"), true);
+  assert.equal(cache.stats().evictions, 1);
+});
+
+test("wrap guarda los null con el TTL negativo y comparte la carga", async () => {
+  let clock = 0;
+  const cache = createCache({ negativeTtl: 100, now: () => clock });
+  let calls = 0;
+  const loader = async () => {
+    calls++;
+    return null;
+  };
+
+  const [a, b] = await Promise.all([
+    cache.wrap("players:id:nadie", loader, { ttl: 10000 }),
+    cache.wrap("players:id:nadie", loader, { ttl: 10000 }),
+  ]);
+  assert.equal(a, null);
+  assert.equal(b, null);
+  assert.equal(calls, 1);
+
+  clock = 100;
+  await cache.wrap("players:id:nadie", loader);
+  assert.equal(calls, 2);
+});
+
+test("invalidateTags borra solo las entradas con ese tag o recurso", async () => {
+  const cache = createCache();
+  cache.set("players:id:Caps", { id: 1 }, { tags: ["player:1"] });
+  cache.set("players:id:2", { id: 2 }, { tags: ["player:2"] });
+  cache.set("matches:upcoming", []);
+
+  assert.equal(cache.invalidateTags("player:1"), 1);
+  assert.equal(cache.has("players:id:2"), true);
+  assert.equal(cache.invalidateTags("matches"), 1);
+  assert.equal(cache.stats().entries, 1);
+
+  const tagged = await cache.wrap("players:id:3", async () => ({ id: 3 }), {
+    tags: (player) => [`player:${player.id}`],
+  });
+  assert.equal(tagged.id, 3);
+  assert.equal(cache.invalidateTags("player:3"), 1);
+});
+
+test("stats agrupa aciertos y fallos por recurso", () => {
+  const cache = createCache();
+  cache.get("years");
+  cache.set("years", []);
+  cache.get("years");
+  cache.get("years");
+
+  const stats = cache.stats();
+  assert.deepEqual(stats.resources.years, { entries: 1, hits: 2, misses: 1, hit_rate: 0.667 });
+  assert.equal(stats.hit_rate, 0.667);
+});
+
+test("changedAt avanza al invalidar el tag o vaciar la caché", () => {
+  let clock = 1000;
+  const cache = createCache({ now: () => clock });
+  assert.equal(cache.changedAt("players"), 1000);
+
+  clock = 2000;
+  cache.invalidateTags("matches");
+  assert.equal(cache.changedAt("players"), 1000);
+  assert.equal(cache.changedAt("players", "matches"), 2000);
+
+  clock = 3000;
+  cache.clear();
+  assert.equal(cache.changedAt("players"), 3000);
+});
+
+test("lo cargado durante una invalidación no se guarda", async () => {
+  const cache = createCache();
+  let release;
+  const loading = cache.wrap("players", () => new Promise((resolve) => (release = resolve)));
+  cache.invalidateTags("players");
+  release(["viejo"]);
+
+  assert.deepEqual(await loading, ["viejo"]);
+  assert.equal(cache.has("players"), false);
+});
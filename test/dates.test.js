@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSourceDate, toUtcIso, toZonedTimestamp } = require("../lib/dates");
+
+test("convierte la fecha de Liquipedia en UTC según la abreviatura", () => {
+  assert.equal(toUtcIso("June 20, 2025 - 18:00 UTC"), "2025-06-20T18:00:00.000Z");
+  assert.equal(toUtcIso("June 20, 2025 - 20:00 CEST"), "2025-06-20T18:00:00.000Z");
+  assert.equal(toUtcIso("January 5, 2025 - 18:00 CET"), "2025-01-05T17:00:00.000Z");
+  assert.equal(toUtcIso("June 20, 2025 - 17:00 KST"), "2025-06-20T08:00:00.000Z");
+});
+
+test("acepta desfases explícitos en el texto o en data-tz", () => {
+  assert.equal(toUtcIso("June 20, 2025 - 20:00 UTC+2"), "2025-06-20T18:00:00.000Z");
+  assert.equal(
+    toUtcIso("June 20, 2025 - 20:00", { tz: "+2:00" }),
+    "2025-06-20T18:00:00.000Z"
+  );
+});
+
+test("el timestamp de la fuente tiene prioridad sobre el texto", () => {
+  assert.equal(
+    toUtcIso("June 20, 2025 - 23:59 UTC", { timestamp: "1750442400" }),
+    "2025-06-20T18:00:00.000Z"
+  );
+});
+
+test("deja pasar las fechas que ya están en ISO", () => {
+  assert.equal(toUtcIso("2025-06-20T18:00:00.000Z"), "2025-06-20T18:00:00.000Z");
+});
+
+test("devuelve null cuando no puede interpretar la fecha sin adivinar", () => {
+  assert.equal(parseSourceDate("June 20, 2025 - 20:00 XYZ"), null);
+  assert.equal(parseSourceDate("TBD"), null);
+  assert.equal(parseSourceDate(null), null);
+});
+
+test("toZonedTimestamp respeta el horario de verano de Europe/Madrid", () => {
+  const summer = toZonedTimestamp(2025, 6, 15, 18, 0, "Europe/Madrid");
+  const winter = toZonedTimestamp(2025, 1, 15, 18, 0, "Europe/Madrid");
+  assert.equal(new Date(summer).toISOString(), "2025-06-15T16:00:00.000Z");
+  assert.equal(new Date(winter).toISOString(), "2025-01-15T17:00:00.000Z");
+});
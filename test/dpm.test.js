@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("../lib/scrapers/dpm");
+
+const html = fs.readFileSync(
+  path.join(__dirname, "fixtures", "dpm-g2-matches.html"),
+  "utf8"
+);
+const now = new Date("2025-06-18T12:00:00Z");
+
+test("solo devuelve los partidos de los últimos 7 días", () => {
+  const matches = parse(html, { now });
+  assert.deepEqual(
+    matches.map((m) => [m.team1, m.team2]),
+    [
+      ["G2", "FNC"],
+      ["KC", "G2"],
+    ]
+  );
+});
+
+test("convierte la hora peninsular a UTC y extrae el formato", () => {
+  const [finished, pending] = parse(html, { now });
+  assert.equal(finished.dateISO, "2025-06-15T16:00:00.000Z");
+  assert.equal(finished.bo, "BO5");
+  assert.equal(finished.sourceId, "G2-FNC-20250615T160000Z-BO5");
+  assert.equal(pending.dateISO, "2025-06-17T15:30:00.000Z");
+  assert.equal(pending.bo, "BO3");
+});
+
+test("lee el marcador, los logos (src o data-src) y el torneo", () => {
+  const [finished, pending] = parse(html, { now });
+  assert.equal(finished.score, "3-1");
+  assert.equal(pending.score, "-");
+  assert.equal(finished.team1Logo, "https://dpm.lol/esport/logos/g2.webp");
+  assert.equal(finished.team2Logo, "https://dpm.lol/esport/logos/fnc.webp");
+  assert.equal(finished.tournament_name, "LEC Summer 2025");
+  assert.equal(finished.tournament_url, "https://dpm.lol/esport/leagues/LEC");
+  assert.equal(finished.tournament_logo, "https://dpm.lol/esport/logos/lec.webp");
+});
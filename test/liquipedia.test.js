@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("../lib/scrapers/liquipedia");
+
+const html = fs.readFileSync(
+  path.join(__dirname, "fixtures", "liquipedia-g2.html"),
+  "utf8"
+);
+
+test("solo lee el panel Upcoming Matches y descarta rivales TBD", () => {
+  const matches = parse(html);
+  assert.deepEqual(
+    matches.map((m) => [m.team1, m.team2]),
+    [
+      ["G2 Esports", "Fnatic"],
+      ["Karmine Corp", "G2 Esports"],
+    ]
+  );
+});
+
+test("extrae formato, streams, torneo y URLs absolutas", () => {
+  const [match] = parse(html);
+  assert.equal(match.bo, "Bo5");
+  assert.equal(
+    match.team1Logo,
+    "https://liquipedia.net/commons/images/1/12/G2_Esportslogo_std.png"
+  );
+  assert.deepEqual(match.streams, {
+    twitch: "https://www.twitch.tv/lec",
+    youtube: "https://www.youtube.com/@lec",
+  });
+  assert.deepEqual(match.tournament, {
+    name: "LEC Summer 2025",
+    url: "https://liquipedia.net/leagueoflegends/LEC/2025/Summer",
+    logo: "https://liquipedia.net/commons/images/7/7c/LEC_Logo_full.png",
+  });
+});
+
+test("convierte la fecha a UTC con el timestamp o la abreviatura", () => {
+  const [withTimestamp, withAbbr] = parse(html);
+  assert.equal(withTimestamp.date, "June 20, 2025 - 20:00 CEST");
+  assert.equal(withTimestamp.start.toISOString(), "2025-06-20T18:00:00.000Z");
+  assert.equal(withAbbr.start.toISOString(), "2025-06-27T17:00:00.000Z");
+  assert.equal(withAbbr.sourceId, "Karmine Corp-G2 Esports-June_27,_2025_-_19:00_CEST");
+});
+
+test("devuelve una lista vacía si no encuentra el panel", () => {
+  assert.deepEqual(parse("<html><body><p>Sin panel</p></body></html>"), []);
+});
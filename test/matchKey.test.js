@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeTeamName,
+  canonicalMatchKey,
+  isSameMatch,
+  isUndatedVersion,
+} = require("../lib/matchKey");
+
+test("normaliza nombres y abreviaturas de equipos", () => {
+  assert.equal(normalizeTeamName("G2 Esports"), "g2");
+  assert.equal(normalizeTeamName("FNC"), "fnatic");
+  assert.equal(normalizeTeamName("Team Vitality"), "vitality");
+  assert.equal(normalizeTeamName("KC"), "karmine corp");
+});
+
+test("la clave canónica no depende del orden de los equipos ni de la fuente", () => {
+  const start = new Date("2025-06-20T18:00:00Z");
+  const liquipedia = canonicalMatchKey({ team1: "G2 Esports", team2: "Fnatic", start, bo: "Bo5" });
+  const dpm = canonicalMatchKey({ team1: "FNC", team2: "G2", start, bo: "BO5" });
+  assert.equal(liquipedia, "fnatic-g2-20250620T1800Z-bo5");
+  assert.equal(dpm, liquipedia);
+});
+
+test("isSameMatch tolera horas cercanas y formato desconocido", () => {
+  const a = { team1: "G2 Esports", team2: "Fnatic", bo: "Bo5", start: new Date("2025-06-20T18:00:00Z") };
+  assert.ok(isSameMatch(a, { team1: "FNC", team2: "G2", bo: null, start: new Date("2025-06-20T19:00:00Z") }));
+  assert.ok(!isSameMatch(a, { team1: "FNC", team2: "G2", bo: "BO3", start: a.start }));
+  assert.ok(!isSameMatch(a, { team1: "KC", team2: "G2", bo: "Bo5", start: a.start }));
+  assert.ok(!isSameMatch(a, { ...a, start: new Date("2025-06-22T18:00:00Z") }));
+});
+
+test("isUndatedVersion reconoce un partido TBD cuando recibe fecha", () => {
+  const tbd = { team1: "G2 Esports", team2: "Fnatic", bo: "Bo3", start: null, tournament: "LEC Summer" };
+  const dated = { team1: "FNC", team2: "G2", bo: "BO3", start: new Date("2025-06-20T18:00:00Z"), tournament: "LEC summer" };
+  assert.ok(isUndatedVersion(tbd, dated));
+  assert.ok(!isUndatedVersion(dated, tbd));
+  assert.ok(!isUndatedVersion(tbd, { ...dated, bo: "Bo5" }));
+  assert.ok(!isUndatedVersion(tbd, { ...dated, tournament: "LEC Playoffs" }));
+  assert.ok(!isUndatedVersion(tbd, { ...dated, start: null }));
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createClient } = require("@libsql/client");
+const { runMigrations, loadMigrations, splitStatements } = require("../lib/migrations");
+const { seed, isLocalUrl } = require("../lib/seed");
+const { databaseUrl } = require("../lib/database");
+const { createPlayersRepository } = require("../lib/playersRepository");
+
+const quiet = { log: () => {} };
+
+async function tables(db) {
+  const result = await db.execute("SELECT name FROM sqlite_master WHERE type = 'table'");
+  return result.rows.map((r) => r.name);
+}
+
+test("las migraciones crean las tablas y no se repiten", async () => {
+  const db = createClient({ url: ":memory:" });
+  const applied = await runMigrations(db, quiet);
+  assert.equal(applied.length, loadMigrations().length);
+
+  const names = await tables(db);
+  for (const table of ["years", "players", "matches_upcoming", "matches_history", "sync_runs", "api_keys"]) {
+    assert.ok(names.includes(table), `falta la tabla ${table}`);
+  }
+
+  assert.deepEqual(await runMigrations(db, quiet), []);
+  const recorded = await db.execute("SELECT COUNT(*) AS n FROM schema_migrations");
+  assert.equal(Number(recorded.rows[0].n), applied.length);
+});
+
+test("una migración fallida no queda apuntada ni deja cambios a medias", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  try {
+    fs.writeFileSync(path.join(dir, "001_ok.sql"), "CREATE TABLE a (id INTEGER);");
+    fs.writeFileSync(
+      path.join(dir, "002_broken.sql"),
+      "CREATE TABLE b (id INTEGER);\nINSERT INTO missing VALUES (1);"
+    );
+    const db = createClient({ url: ":memory:" });
+
+    await assert.rejects(runMigrations(db, { dir, ...quiet }), /002_broken\.sql fallida/);
+    const recorded = await db.execute("SELECT version FROM schema_migrations");
+    assert.deepEqual(recorded.rows.map((r) => Number(r.version)), [1]);
+    assert.ok(!(await tables(db)).includes("b"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("splitStatements ignora comentarios y líneas en blanco", () => {
+  const sql = "-- comentario\nCREATE TABLE a (id INTEGER);\n\nINSERT INTO a VALUES (1);\n";
+  assert.deepEqual(splitStatements(sql), ["CREATE TABLE a (id INTEGER)", "INSERT INTO a VALUES (1)"]);
+});
+
+test("el seed se puede repetir y enlaza las cuentas de SoloQ", async () => {
+  const db = createClient({ url: ":memory:" });
+  await runMigrations(db, quiet);
+  const now = new Date("2025-06-18T12:00:00Z");
+  await seed(db, { now });
+  await seed(db, { now });
+
+  const players = await db.execute("SELECT COUNT(*) AS n FROM players WHERE nickname = 'Caps'");
+  assert.equal(Number(players.rows[0].n), 1);
+  const hans = await db.execute("SELECT nickname_key FROM players WHERE nickname = 'Hans Sama'");
+  assert.equal(hans.rows[0].nickname_key, "hanssama");
+  const upcoming = await db.execute("SELECT id, date FROM matches_upcoming ORDER BY date");
+  assert.equal(upcoming.rows.length, 3);
+  assert.equal(upcoming.rows[0].id, "fnatic-g2-20250620T1800Z-bo3");
+
+  const unlinked = await db.execute(
+    "SELECT COUNT(*) AS n FROM soloq_accounts WHERE player_id IS NULL"
+  );
+  assert.equal(Number(unlinked.rows[0].n), 0);
+});
+
+test("el seed solo acepta BD locales sin pedirlo expresamente", () => {
+  assert.equal(isLocalUrl("file:local.db"), true);
+  assert.equal(isLocalUrl(":memory:"), true);
+  assert.equal(isLocalUrl("libsql://g2history-prod.turso.io"), false);
+  assert.equal(isLocalUrl("https://g2history-prod.turso.io"), false);
+});
+
+test("player_seasons se rellena desde players.years sin borrar la columna", async () => {
+  const db = createClient({ url: ":memory:" });
+  await runMigrations(db, { to: 6, ...quiet });
+  await db.execute(
+    "INSERT INTO players (id, nickname, years) VALUES (1, 'Caps', '2019, 2020,20,2020'), (2, 'Nadie', NULL)"
+  );
+  await runMigrations(db, quiet);
+
+  const seasons = await db.execute("SELECT player_id, year FROM player_seasons ORDER BY year");
+  assert.deepEqual(
+    seasons.rows.map((r) => [Number(r.player_id), Number(r.year)]),
+    [[1, 2019], [1, 2020]]
+  );
+  // La columna antigua se conserva intacta, pero ya no se lee
+  const original = await db.execute("SELECT years FROM players WHERE id = 1");
+  assert.equal(original.rows[0].years, "2019, 2020,20,2020");
+  await db.execute("UPDATE players SET years = '1999' WHERE id = 1");
+  const caps = await createPlayersRepository(db).findById(1);
+  assert.equal(caps.years, "2019,2020");
+});
+
+test("dos jugadores con el mismo nickname_key hacen fallar la migración 011", async () => {
+  const db = createClient({ url: ":memory:" });
+  await runMigrations(db, { to: 10, ...quiet });
+  await db.execute(
+    `INSERT INTO players (nickname, nickname_key) VALUES
+       ('Hans Sama', 'hanssama'), ('HansSama', 'hanssama')`
+  );
+  await assert.rejects(runMigrations(db, quiet), /Hans Sama, HansSama/);
+
+  await db.execute(
+    "UPDATE players SET nickname = 'Otro', nickname_key = 'otro' WHERE nickname = 'HansSama'"
+  );
+  await runMigrations(db, quiet);
+  await assert.rejects(
+    db.execute("INSERT INTO players (nickname, nickname_key) VALUES ('OTRO', 'otro')"),
+    /UNIQUE/
+  );
+});
+
+test("sin TURSO_URL solo se usa el SQLite local fuera de producción", () => {
+  assert.equal(databaseUrl({ TURSO_URL: "libsql://g2.turso.io", NODE_ENV: "production" }), "libsql://g2.turso.io");
+  assert.equal(databaseUrl({}), "file:local.db");
+  assert.throws(() => databaseUrl({ NODE_ENV: "production" }), /Falta TURSO_URL/);
+  assert.equal(databaseUrl({ NODE_ENV: "production", ALLOW_LOCAL_DB: "true" }), "file:local.db");
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { parse, scrape, matchesRiotId } = require("../lib/scrapers/opgg");
+
+const html = fs.readFileSync(
+  path.join(__dirname, "fixtures", "opgg-leaderboard.html"),
+  "utf8"
+);
+
+const targetRiotIds = ["G2 BrokenBlade#EUW", "G2 Caps#1323", "g2 labrov", "g2 skewmond"];
+
+test("devuelve solo las cuentas buscadas ordenadas por LP", () => {
+  assert.deepEqual(parse(html, { targetRiotIds }), [
+    { gameName: "G2 BrokenBlade", tagLine: "EUW", nickname: "BrokenBlade", tier: "Challenger", lp: 2078, rank: "2" },
+    { gameName: "G2 Caps", tagLine: "1323", nickname: "Caps", tier: "Challenger", lp: 1845, rank: "4" },
+    { gameName: "G2 Labrov", tagLine: "EUW", nickname: "Labrov", tier: "Grandmaster", lp: 987, rank: "57" },
+  ]);
+});
+
+test("otra cuenta con el mismo nombre y distinto tag no cuenta", () => {
+  assert.deepEqual(parse(html, { targetRiotIds: ["G2 Caps#9999"] }), []);
+  const row = { gameName: "G2 Caps", tagLine: "1323" };
+  assert.equal(matchesRiotId(row, "g2 caps#1323"), true);
+  assert.equal(matchesRiotId(row, "G2 Caps"), true);
+  assert.equal(matchesRiotId(row, "G2 Caps#EUW"), false);
+});
+
+test("admite una lista de cuentas distinta", () => {
+  const ranking = parse(html, { targetRiotIds: ["someone else"] });
+  assert.deepEqual(ranking.map((p) => p.nickname), ["Someone Else"]);
+});
+
+// Página falsa: la 1 es el fixture, la 2 trae a SkewMond y la 3 está vacía
+function fakePage() {
+  const page2 = `<table><tr>
+    <td>230</td>
+    <td><a href="/summoners/euw/G2%20SkewMond-EUW"><span class="text-gray-900">G2 SkewMond</span></a></td>
+    <td><div class="hidden">master</div></td>
+    <td><div>412</div></td>
+  </tr></table>`;
+  const pages = { 1: html, 2: page2, 3: "<table></table>" };
+  let current;
+  return {
+    visited: [],
+    async goto(url) {
+      current = Number(new URL(url).searchParams.get("page"));
+      this.visited.push(current);
+    },
+    async content() {
+      return pages[current] || "<table></table>";
+    },
+  };
+}
+
+test("scrape recorre páginas hasta encontrar todas las cuentas", async () => {
+  const page = fakePage();
+  const ranking = await scrape(page, { targetRiotIds });
+  assert.deepEqual(page.visited, [1, 2]);
+  assert.deepEqual(
+    ranking.map((p) => p.nickname),
+    ["BrokenBlade", "Caps", "Labrov", "SkewMond"]
+  );
+});
+
+test("scrape para en cuanto no quedan cuentas por buscar", async () => {
+  const page = fakePage();
+  await scrape(page, { targetRiotIds: ["g2 caps"] });
+  assert.deepEqual(page.visited, [1]);
+});
+
+test("scrape para en la primera página vacía", async () => {
+  const page = fakePage();
+  const ranking = await scrape(page, { targetRiotIds: ["g2 nadie"] });
+  assert.deepEqual(page.visited, [1, 2, 3]);
+  assert.deepEqual(ranking, []);
+});
+
+test("scrape respeta maxPages", async () => {
+  const page = fakePage();
+  const ranking = await scrape(page, { targetRiotIds: ["g2 skewmond"], maxPages: 1 });
+  assert.deepEqual(page.visited, [1]);
+  assert.deepEqual(ranking, []);
+});
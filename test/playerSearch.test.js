@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { nicknameKey, similarity, rankSuggestions } = require("../lib/playerSearch");
+
+const PLAYERS = [
+  { id: 1, nickname: "Caps", real_name: "Rasmus Winther", aliases: [] },
+  { id: 2, nickname: "Perkz", real_name: "Luka Perković", aliases: [] },
+  { id: 3, nickname: "Hans Sama", real_name: "Steven Liv", aliases: ["Hans sama"] },
+  { id: 4, nickname: "Jankos", real_name: "Marcin Jankowski", aliases: ["Jankos2"] },
+];
+
+test("nicknameKey quita mayúsculas, tildes y separadores", () => {
+  assert.equal(nicknameKey("Hans Sama"), "hanssama");
+  assert.equal(nicknameKey("Perković"), "perkovic");
+  assert.equal(nicknameKey("  CÁPS!! "), "caps");
+  assert.equal(nicknameKey(null), "");
+});
+
+test("similarity prima lo exacto, luego el prefijo y luego lo contenido", () => {
+  assert.equal(similarity("caps", "caps"), 1);
+  assert.equal(similarity("cap", "caps"), 0.9);
+  assert.equal(similarity("aps", "caps"), 0.75);
+  // Una errata en cinco letras
+  assert.ok(similarity("perks", "perkz") > 0.5);
+  assert.ok(similarity("xyz", "caps") < 0.35);
+});
+
+test("rankSuggestions ordena por parecido y dice por qué coincide", () => {
+  assert.deepEqual(
+    rankSuggestions(PLAYERS, "jankos2").map((s) => [s.nickname, s.matched, s.score]),
+    [["Jankos", "alias", 1]]
+  );
+  // El nombre real también se compara palabra a palabra
+  assert.deepEqual(rankSuggestions(PLAYERS, "winther")[0], {
+    id: 1,
+    nickname: "Caps",
+    score: 1,
+    matched: "real_name",
+    matched_value: "Rasmus Winther",
+  });
+  assert.equal(rankSuggestions(PLAYERS, "perkz")[0].nickname, "Perkz");
+  assert.equal(rankSuggestions(PLAYERS, "a", { limit: 2 }).length, 2);
+  assert.deepEqual(rankSuggestions(PLAYERS, "!!"), []);
+});
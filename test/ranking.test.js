@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeRanking } = require("../lib/ranking");
+
+const accounts = [
+  { id: 1, game_name: "G2 Caps", riot_id: "G2 Caps#1323", region: "euw", player_id: 1, player_nickname: "Caps" },
+  { id: 2, game_name: "G2 Hans Sama", riot_id: "G2 Hans Sama", region: "euw", player_id: null, player_nickname: null },
+  { id: 3, game_name: "Caps KR", riot_id: "Caps KR#KR1", region: "kr", player_id: 1, player_nickname: "Caps" },
+];
+
+test("las cuentas que no aparecen vuelven como not_found al final", () => {
+  const ranking = mergeRanking(accounts, {
+    euw: [
+      // Mismo nombre que la cuenta de Caps pero otro tag: no es suya
+      { gameName: "G2 Caps", tagLine: "EUW", tier: "Master", lp: 100, rank: "900" },
+      { gameName: "G2 Caps", tagLine: "1323", tier: "Challenger", lp: 1845, rank: "4" },
+    ],
+    kr: [{ gameName: "caps kr", tagLine: "kr1", tier: "Grandmaster", lp: 1900, rank: "80" }],
+  });
+
+  assert.deepEqual(
+    ranking.map((r) => [r.riot_id, r.status, r.lp]),
+    [
+      ["Caps KR#KR1", "ranked", 1900],
+      ["G2 Caps#1323", "ranked", 1845],
+      ["G2 Hans Sama", "not_found", null],
+    ]
+  );
+  // Sin jugador enlazado el nickname sale del Riot ID
+  assert.equal(ranking[2].nickname, "Hans Sama");
+  assert.equal(ranking[2].tier, null);
+});
+
+test("una región sin filas deja todas sus cuentas como not_found", () => {
+  const ranking = mergeRanking(accounts, {});
+  assert.ok(ranking.every((r) => r.status === "not_found"));
+  assert.equal(ranking.length, 3);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRateLimiter, clientKey } = require("../lib/rateLimit");
+
+// Respuesta mínima con lo que usa el limitador
+function fakeRes() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) {
+      if (typeof name === "object") Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function hit(limiter, req) {
+  const res = fakeRes();
+  let passed = false;
+  limiter(req, res, () => (passed = true));
+  return { res, passed };
+}
+
+test("responde 429 con Retry-After al pasar el límite y se reinicia con la ventana", () => {
+  let clock = 0;
+  const limiter = createRateLimiter({
+    name: "scrape",
+    windowMs: 60000,
+    max: 2,
+    keyFn: clientKey,
+    now: () => clock,
+  });
+  const req = { ip: "1.2.3.4" };
+
+  assert.equal(hit(limiter, req).passed, true);
+  const second = hit(limiter, req);
+  assert.equal(second.res.headers["RateLimit-Remaining"], "0");
+
+  clock = 15000;
+  const third = hit(limiter, req);
+  assert.equal(third.passed, false);
+  assert.equal(third.res.statusCode, 429);
+  assert.equal(third.res.headers["Retry-After"], "45");
+  assert.equal(third.res.body.limit, "scrape");
+
+  // Otro cliente tiene su propia cuenta
+  assert.equal(hit(limiter, { ip: "5.6.7.8" }).passed, true);
+
+  clock = 60000;
+  assert.equal(hit(limiter, req).passed, true);
+});
+
+test("clientKey usa la clave de API si la hay y si no la IP", () => {
+  assert.equal(clientKey({ ip: "1.2.3.4" }), "ip:1.2.3.4");
+  assert.equal(clientKey({ ip: "1.2.3.4", apiKey: { id: 7 } }), "key:7");
+  assert.equal(clientKey({ apiKey: { id: null, label: "env" } }), "key:env");
+});
+
+test("skip deja pasar sin contar y el mapa olvida las ventanas terminadas", () => {
+  let clock = 0;
+  const limiter = createRateLimiter({
+    name: "ip",
+    windowMs: 1000,
+    max: 1,
+    keyFn: (req) => req.ip,
+    skip: (req) => req.cached,
+    now: () => clock,
+  });
+
+  hit(limiter, { ip: "a", cached: true });
+  assert.equal(limiter.size(), 0);
+  hit(limiter, { ip: "a" });
+  hit(limiter, { ip: "b" });
+  assert.equal(limiter.size(), 2);
+
+  clock = 5000;
+  hit(limiter, { ip: "c" });
+  assert.equal(limiter.size(), 1);
+});
@@ -0,0 +1,667 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// BD en memoria y clave conocida antes de cargar la app
+process.env.TURSO_URL = ":memory:";
+process.env.API_KEY = "test-key";
+// Sin Chromium instalado en los tests
+process.env.HEALTH_CHECK_BROWSER = "false";
+// Todas las pruebas salen de la misma IP: el límite por IP no es lo que se prueba
+process.env.RATE_LIMIT_IP_PER_MINUTE = "1000";
+
+const { app, db, migrate, rankingRepo, syncRunsRepo } = require("../server");
+const { assertRoutesProtected } = require("../lib/auth");
+
+let server;
+let baseUrl;
+
+// auth: true usa la API_KEY del entorno, un string usa esa clave
+const authHeader = (auth) =>
+  auth ? { Authorization: `Bearer ${auth === true ? "test-key" : auth}` } : {};
+
+function get(path, { auth = true } = {}) {
+  return fetch(`${baseUrl}${path}`, { headers: authHeader(auth) });
+}
+
+function send(method, path, body, { auth = true } = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...authHeader(auth),
+      "Content-Type": "application/json",
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+test.before(async () => {
+  // Primero las tablas base y sus datos, para que el resto de migraciones
+  // (p. ej. las cuentas de SoloQ) enlacen con los jugadores
+  await migrate({ to: 1, log: () => {} });
+  await db.batch(
+    [
+      "INSERT INTO years (id, year) VALUES (1, '2023'), (2, '2024')",
+      `INSERT INTO players (id, nickname, years) VALUES
+         (1, 'Caps', '2019,2020,2021,2022,2023,2024'),
+         (2, 'Perkz', '2017,2018,2019')`,
+    ],
+    "write"
+  );
+  await migrate({ log: () => {} });
+  // Las temporadas salen de players.years; el rol se completa a mano
+  await db.batch(
+    [
+      "UPDATE players SET real_name = 'Rasmus Winther', nationality = 'DK' WHERE id = 1",
+      "UPDATE players SET real_name = 'Luka Perković', nationality = 'HR' WHERE id = 2",
+    ],
+    "write"
+  );
+  await db.execute(
+    "UPDATE player_seasons SET role = CASE WHEN year = 2019 AND player_id = 2 THEN 'bot' ELSE 'mid' END"
+  );
+  await db.batch(
+    [
+      `INSERT INTO matches_upcoming (id, team1, team2, bo, date, tournament_name, streams_twitch)
+       VALUES ('g2-karmine-corp-20300627T1700Z-bo3', 'Karmine Corp', 'G2 Esports', 'Bo3',
+               '2030-06-27T17:00:00.000Z', 'LEC Summer', 'https://www.twitch.tv/lec')`,
+      `INSERT INTO matches_upcoming (id, team1, team2, bo, date, tournament_name)
+       VALUES ('fnatic-g2-20300620T1800Z-bo5', 'G2 Esports', 'Fnatic', 'Bo5',
+               '2030-06-20T18:00:00.000Z', 'LEC Summer')`,
+      `INSERT INTO match_aliases (alias, match_id, source)
+       VALUES ('G2 Esports-Fnatic-June_20,_2030_-_20:00_CEST', 'fnatic-g2-20300620T1800Z-bo5', 'liquipedia')`,
+      `INSERT INTO matches_history (id, team1, team2, bo, date, score, winner, source, tournament_name)
+       VALUES ('fnatic-g2-20250615T1600Z-bo5', 'G2', 'FNC', 'BO5', '2025-06-15T16:00:00.000Z',
+               '3-1', 'G2', 'dpm.lol', 'LEC Summer 2025'),
+              ('g2-vitality-20250602T1800Z-bo1', 'G2', 'VIT', 'BO1', '2025-06-02T18:00:00.000Z',
+               '0-1', 'VIT', 'dpm.lol', 'LEC Spring 2025')`,
+    ],
+    "write"
+  );
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test("GET /health responde sin autenticación y comprueba la BD", async () => {
+  const res = await get("/health", { auth: false });
+  assert.equal(res.status, 200);
+  const health = await res.json();
+  assert.equal(health.status, "ok");
+  assert.equal(health.checks.database.status, "ok");
+  assert.equal(health.checks.browser.status, "skipped");
+  assert.deepEqual(Object.keys(health.sync), ["liquipedia", "dpm.lol"]);
+  assert.equal(health.sync.liquipedia.last_success_at, null);
+  assert.equal(health.ranking.stale, false);
+  assert.equal(typeof health.cache.entries, "number");
+});
+
+test("las rutas protegidas exigen la API key", async () => {
+  const res = await get("/years", { auth: false });
+  assert.equal(res.status, 401);
+});
+
+test("ninguna ruta de escritura o scraping queda sin proteger", async () => {
+  assert.doesNotThrow(() => assertRoutesProtected(app));
+  const res = await send("POST", "/matches/sync-dpm", undefined, { auth: false });
+  assert.equal(res.status, 401);
+});
+
+test("GET /years y /players devuelven las filas de la BD", async () => {
+  const years = await (await get("/years")).json();
+  assert.deepEqual(years.map((y) => y.year), ["2023", "2024"]);
+
+  const page = await (await get("/players")).json();
+  assert.equal(page.total, 2);
+  assert.deepEqual(page.players.map((p) => p.nickname), ["Caps", "Perkz"]);
+  assert.deepEqual(
+    [page.players[0].first_year, page.players[0].last_year, page.players[0].active],
+    [2019, 2024, true]
+  );
+});
+
+test("GET /players filtra, ordena y pagina", async () => {
+  const nicknames = async (query) => {
+    const res = await get(`/players?${query}`);
+    assert.equal(res.status, 200, query);
+    const page = await res.json();
+    return { total: page.total, nicknames: page.players.map((p) => p.nickname) };
+  };
+
+  assert.deepEqual(await nicknames("status=former"), { total: 1, nicknames: ["Perkz"] });
+  assert.deepEqual(await nicknames("nationality=dk"), { total: 1, nicknames: ["Caps"] });
+  assert.deepEqual(await nicknames("q=perkovi"), { total: 1, nicknames: ["Perkz"] });
+  // % y _ son texto, no comodines
+  assert.deepEqual(await nicknames("q=%25"), { total: 0, nicknames: [] });
+  assert.deepEqual(await nicknames("q=C_ps"), { total: 0, nicknames: [] });
+  // Perkz fue bot en 2019 pero mid antes: role y años en la misma temporada
+  assert.deepEqual(await nicknames("role=bot"), { total: 1, nicknames: ["Perkz"] });
+  assert.deepEqual(await nicknames("role=mid&year_from=2019&year_to=2019"), {
+    total: 1,
+    nicknames: ["Caps"],
+  });
+  assert.deepEqual(await nicknames("sort=first_year&order=desc"), {
+    total: 2,
+    nicknames: ["Caps", "Perkz"],
+  });
+  assert.deepEqual(await nicknames("sort=nickname&limit=1&offset=1"), {
+    total: 2,
+    nicknames: ["Perkz"],
+  });
+
+  for (const bad of ["role=adc", "status=retired", "year_from=19", "sort=years", "limit=0",
+    "year_from=2020&year_to=2019"]) {
+    assert.equal((await get(`/players?${bad}`)).status, 400, bad);
+  }
+});
+
+test("GET /players/year/:year devuelve la plantilla con roles", async () => {
+  const players = await (await get("/players/year/2018")).json();
+  assert.deepEqual(players.map((p) => p.nickname), ["Perkz"]);
+
+  // 2019: Caps en mid, Perkz en bot (orden por rol)
+  const roster = await (await get("/players/year/2019")).json();
+  assert.deepEqual(
+    roster.map((p) => [p.nickname, p.role, p.starter]),
+    [["Caps", "mid", true], ["Perkz", "bot", true]]
+  );
+});
+
+test("GET /players/year/:year rechaza años a medias", async () => {
+  // Antes "20" casaba con cualquier año por el LIKE
+  assert.equal((await get("/players/year/20")).status, 400);
+});
+
+test("GET /players/:identifier busca por id o nickname", async () => {
+  const caps = await (await get("/players/1")).json();
+  assert.equal(caps.nickname, "Caps");
+  assert.equal(caps.years, "2019,2020,2021,2022,2023,2024");
+  assert.deepEqual(caps.seasons[0], { year: 2019, split: null, role: "mid", starter: true });
+  assert.equal(caps.seasons.length, 6);
+  assert.equal((await (await get("/players/Perkz")).json()).id, 2);
+  assert.equal((await get("/players/Nobody")).status, 404);
+});
+
+test("GET /players/:identifier no distingue mayúsculas ni tildes y comparte caché", async () => {
+  await send("POST", "/cache/clear");
+  const before = await (await get("/cache/stats")).json();
+  for (const identifier of ["caps", "CAPS", "Cáps"]) {
+    const res = await get(`/players/${encodeURIComponent(identifier)}`);
+    assert.equal((await res.json()).id, 1, identifier);
+  }
+  const stats = await (await get("/cache/stats")).json();
+  assert.equal(stats.resources.players.entries, 1);
+  assert.equal(stats.resources.players.hits - (before.resources.players?.hits ?? 0), 2);
+});
+
+test("GET /players/search sugiere jugadores por nickname, alias o nombre real", async () => {
+  const search = async (q) => (await (await get(`/players/search?q=${encodeURIComponent(q)}`)).json());
+
+  const caps = await search("cap");
+  assert.deepEqual(caps.suggestions[0], {
+    id: 1,
+    nickname: "Caps",
+    score: 0.9,
+    matched: "nickname",
+    matched_value: "Caps",
+  });
+  // Erratas y nombre real
+  assert.equal((await search("perks")).suggestions[0].nickname, "Perkz");
+  assert.equal((await search("perkovic")).suggestions[0].matched, "real_name");
+  assert.deepEqual((await search("zzzzzz")).suggestions, []);
+
+  assert.equal((await get("/players/search")).status, 400);
+  assert.equal((await get("/players/search?q=caps&limit=50")).status, 400);
+});
+
+test("los alias de un jugador no pueden ser de otro", async () => {
+  let res = await send("PATCH", "/players/2", { aliases: ["caps"] });
+  assert.equal(res.status, 409);
+  assert.match((await res.json()).error, /alias caps/);
+
+  res = await send("PATCH", "/players/2", { aliases: ["Perkz 2", "perkz2", "Perkz"] });
+  // Se quitan los repetidos y el propio nickname
+  assert.deepEqual((await res.json()).aliases, ["Perkz 2"]);
+  assert.equal((await (await get("/players/search?q=perkz2")).json()).suggestions[0].id, 2);
+  assert.equal((await (await get("/players/perkz2")).json()).redirect, "/players/Perkz");
+
+  res = await send("PATCH", "/players/1", { aliases: ["Perkz 2"] });
+  assert.equal(res.status, 409);
+  // Tampoco como nickname: el alias dejaría de encontrarse
+  res = await send("POST", "/players", { nickname: "Perkz 2" });
+  assert.equal(res.status, 409);
+  res = await send("PATCH", "/players/1", { nickname: "perkz2" });
+  assert.equal(res.status, 409);
+  res = await send("PATCH", "/players/2", { aliases: [] });
+  assert.deepEqual((await res.json()).aliases, []);
+});
+
+test("las rutas de lectura responden 304 a If-None-Match y If-Modified-Since", async () => {
+  const first = await get("/players");
+  assert.equal(first.status, 200);
+  assert.match(first.headers.get("cache-control"), /^private, max-age=\d+/);
+  const etag = first.headers.get("etag");
+  const lastModified = first.headers.get("last-modified");
+  assert.ok(etag && lastModified);
+
+  // fetch añade "Cache-Control: no-cache" a las peticiones condicionales si
+  // no lleva uno; un navegador que revalida manda max-age=0
+  const revalidate = { ...authHeader(true), "Cache-Control": "max-age=0" };
+  const byEtag = await fetch(`${baseUrl}/players`, {
+    headers: { ...revalidate, "If-None-Match": etag },
+  });
+  assert.equal(byEtag.status, 304);
+  assert.equal(await byEtag.text(), "");
+
+  const byDate = await fetch(`${baseUrl}/matches/upcoming`, {
+    headers: { ...revalidate, "If-Modified-Since": new Date().toUTCString() },
+  });
+  assert.equal(byDate.status, 304);
+});
+
+test("el feed .ics es cacheable por un CDN y su ETag no cambia entre peticiones", async () => {
+  const a = await get("/calendar.ics", { auth: false });
+  const b = await get("/calendar.ics", { auth: false });
+  assert.match(a.headers.get("cache-control"), /^public, max-age=\d+/);
+  assert.equal(a.headers.get("etag"), b.headers.get("etag"));
+});
+
+test("el feed .ics cambia de Last-Modified cuando se mueve su ventana de días", async (t) => {
+  const first = await get("/calendar.ics", { auth: false });
+  const lastModified = first.headers.get("last-modified");
+
+  // Dos días después, sin cambios en los partidos
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 2 * 24 * 60 * 60 * 1000 });
+  const later = await fetch(`${baseUrl}/calendar.ics`, {
+    headers: { "Cache-Control": "max-age=0", "If-Modified-Since": lastModified },
+  });
+  assert.equal(later.status, 200);
+  assert.notEqual(later.headers.get("etag"), first.headers.get("etag"));
+});
+
+test("GET /cache/stats cuenta aciertos por recurso y los 404 también se cachean", async () => {
+  await send("POST", "/cache/clear");
+  const before = await (await get("/cache/stats")).json();
+  await get("/players/Nadie");
+  await get("/players/Nadie");
+  await get("/years");
+  await get("/years");
+
+  const stats = await (await get("/cache/stats")).json();
+  const hits = (resource) => (before.resources[resource]?.hits ?? 0);
+  assert.equal(stats.resources.players.hits - hits("players"), 1);
+  assert.equal(stats.resources.years.hits - hits("years"), 1);
+  assert.equal(typeof stats.hit_rate, "number");
+
+  const res = await send("POST", "/cache/clear?tag=years");
+  assert.equal((await res.json()).removed, 1);
+});
+
+test("GET /matches/upcoming ordena cronológicamente", async () => {
+  const matches = await (await get("/matches/upcoming")).json();
+  assert.deepEqual(
+    matches.map((m) => m.id),
+    ["fnatic-g2-20300620T1800Z-bo5", "g2-karmine-corp-20300627T1700Z-bo3"]
+  );
+});
+
+test("GET /matches/history filtra por rival, fechas y pagina", async () => {
+  const all = await (await get("/matches/history")).json();
+  assert.equal(all.total, 2);
+  assert.equal(all.matches[0].id, "fnatic-g2-20250615T1600Z-bo5");
+
+  const byOpponent = await (await get("/matches/history?opponent=vit")).json();
+  assert.deepEqual(byOpponent.matches.map((m) => m.score), ["0-1"]);
+
+  // "%" y "_" se buscan tal cual, no como comodines
+  assert.equal((await (await get("/matches/history?opponent=%25")).json()).total, 0);
+  assert.equal((await (await get("/matches/history?opponent=V_T")).json()).total, 0);
+  assert.equal((await (await get("/matches/history?tournament=LEC_Summer")).json()).total, 0);
+  assert.equal((await (await get("/matches/history?tournament=LEC%20Summer")).json()).total, 1);
+  assert.equal((await get("/matches/history?opponent=vit&opponent=fnc")).status, 400);
+  assert.equal((await get("/calendar.ics?tournament=a&tournament=b", { auth: false })).status, 400);
+
+  const byRange = await (await get("/matches/history?from=2025-06-10&to=2025-06-15")).json();
+  assert.equal(byRange.total, 1);
+
+  const page = await (await get("/matches/history?limit=1&offset=1")).json();
+  assert.equal(page.total, 2);
+  assert.deepEqual(page.matches.map((m) => m.id), ["g2-vitality-20250602T1800Z-bo1"]);
+
+  assert.equal((await get("/matches/history?limit=0")).status, 400);
+});
+
+test("GET /calendar/:id resuelve alias y genera un .ics válido", async () => {
+  const res = await get(
+    `/calendar/${encodeURIComponent("G2 Esports-Fnatic-June_20,_2030_-_20:00_CEST")}`
+  );
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/calendar/);
+  assert.equal(
+    res.headers.get("content-disposition"),
+    'attachment; filename="match-fnatic-g2-20300620T1800Z-bo5.ics"'
+  );
+  const body = await res.text();
+  assert.match(body, /UID:fnatic-g2-20300620T1800Z-bo5@/);
+  assert.match(body, /DTSTART:20300620T180000Z\r\n/);
+  assert.match(body, /DTEND:20300620T230000Z\r\n/);
+  assert.match(body, /SUMMARY:G2 vs Fnatic \(LEC Summer\)/);
+
+  assert.equal((await get("/calendar/nope")).status, 404);
+});
+
+test("GET /calendar/:id no mete caracteres raros del id en el nombre del archivo", async () => {
+  const id = 'g2 "vs" fnc;\tx.ics';
+  await db.execute({
+    sql: `INSERT INTO matches_history (id, team1, team2, bo, date, score, winner, source)
+          VALUES (?, 'G2', 'FNC', 'BO1', '2024-06-15T16:00:00.000Z', '1-0', 'G2', 'dpm.lol')`,
+    args: [id],
+  });
+  const res = await get(`/calendar/${encodeURIComponent(id)}`);
+  assert.equal(res.status, 200);
+  assert.equal(
+    res.headers.get("content-disposition"),
+    'attachment; filename="match-g2_vs_fnc_x_ics.ics"'
+  );
+  await db.execute({ sql: "DELETE FROM matches_history WHERE id = ?", args: [id] });
+});
+
+test("GET /calendar.ics es público y elige bien al rival", async () => {
+  const res = await get("/calendar.ics?opponent=karmine", { auth: false });
+  assert.equal(res.status, 200);
+  const body = await res.text();
+  assert.equal(body.match(/BEGIN:VEVENT/g).length, 1);
+  assert.match(body, /SUMMARY:G2 vs Karmine Corp \(LEC Summer\)/);
+  assert.match(body, /URL:https:\/\/www.twitch.tv\/lec/);
+});
+
+test("/soloq/accounts siembra el roster y permite gestionarlo", async () => {
+  const seeded = await (await get("/soloq/accounts")).json();
+  const caps = seeded.find((a) => a.riot_id === "G2 Caps");
+  assert.equal(caps.player_nickname, "Caps");
+  assert.equal(caps.region, "euw");
+
+  let res = await send("POST", "/soloq/accounts", { riot_id: "G2 Caps", region: "euw" });
+  assert.equal(res.status, 409);
+  // Mismo nombre con otro tag es otra cuenta
+  res = await send("POST", "/soloq/accounts", { riot_id: "G2 Caps#EUW2", region: "euw" });
+  assert.equal(res.status, 201);
+  assert.equal((await send("DELETE", `/soloq/accounts/${(await res.json()).id}`)).status, 204);
+  res = await send("POST", "/soloq/accounts", { riot_id: "", region: "xx" });
+  assert.equal(res.status, 400);
+
+  res = await send("POST", "/soloq/accounts", {
+    riot_id: "Perkz#EUW",
+    region: "euw",
+    player_id: 2,
+  });
+  assert.equal(res.status, 201);
+  const perkz = await res.json();
+  assert.equal(perkz.player_nickname, "Perkz");
+  assert.equal(perkz.tag_line, "EUW");
+
+  res = await send("PATCH", `/soloq/accounts/${perkz.id}`, { active: false });
+  assert.equal((await res.json()).active, false);
+  res = await send("DELETE", `/soloq/accounts/${perkz.id}`);
+  assert.equal(res.status, 204);
+  res = await send("PATCH", `/soloq/accounts/${perkz.id}`, { active: true });
+  assert.equal(res.status, 404);
+});
+
+test("GET /ranking/history y /ranking/changes leen las fotos guardadas", async () => {
+  const caps = (lp) => [
+    { account_id: 3, player_id: 1, nickname: "Caps", riot_id: "G2 Caps", region: "euw",
+      status: "ranked", tier: "Challenger", lp, rank: "4" },
+  ];
+  await rankingRepo.saveSnapshot(caps(1700), "2025-06-10T10:00:00.000Z");
+  await rankingRepo.saveSnapshot(caps(1800), "2025-06-16T10:00:00.000Z");
+  await rankingRepo.saveSnapshot(caps(1845), "2025-06-17T10:00:00.000Z");
+
+  let res = await get("/ranking/history/caps?from=2025-06-15&to=2025-06-17");
+  const history = await res.json();
+  assert.equal(history.accounts.length, 1);
+  assert.deepEqual(history.accounts[0].points.map((p) => p.lp), [1800, 1845]);
+
+  res = await get("/ranking/history/Nadie");
+  assert.equal(res.status, 404);
+  res = await get("/ranking/history/caps?from=ayer");
+  assert.equal(res.status, 400);
+
+  const day = await (await get("/ranking/changes")).json();
+  assert.equal(day.changes[0].delta, 45);
+  const week = await (await get("/ranking/changes?period=week")).json();
+  assert.equal(week.changes[0].delta, 145);
+  res = await get("/ranking/changes?period=constructor");
+  assert.equal(res.status, 400);
+});
+
+test("GET /ranking/history sigue al jugador aunque cambie de nickname", async () => {
+  let res = await send("POST", "/players", { nickname: "Viejo" });
+  const player = await res.json();
+  res = await send("POST", "/soloq/accounts", { riot_id: "G2 Viejo", region: "euw" });
+  const account = await res.json();
+  const snapshot = (nickname, playerId, lp) => [
+    { account_id: account.id, player_id: playerId, nickname, riot_id: "G2 Viejo",
+      region: "euw", status: "ranked", tier: "Master", lp, rank: "90" },
+  ];
+  // Antes de enlazar la cuenta, después y tras el cambio de nombre
+  await rankingRepo.saveSnapshot(snapshot("G2 Viejo", null, 100), "2025-05-01T10:00:00.000Z");
+  await send("PATCH", `/soloq/accounts/${account.id}`, { player_id: player.id });
+  await rankingRepo.saveSnapshot(snapshot("Viejo", player.id, 200), "2025-05-02T10:00:00.000Z");
+  await send("PATCH", `/players/${player.id}`, { nickname: "Nuevo Nombre" });
+  await rankingRepo.saveSnapshot(snapshot("Nuevo Nombre", player.id, 300), "2025-05-03T10:00:00.000Z");
+  // Una cuenta sin jugador se sigue buscando por el nickname de la foto
+  await rankingRepo.saveSnapshot(
+    [{ account_id: null, player_id: null, nickname: "Suelto", riot_id: "Suelto", region: "kr",
+       status: "ranked", tier: "Master", lp: 50, rank: "200" }],
+    "2025-05-03T10:00:00.000Z"
+  );
+
+  for (const name of ["Viejo", "nuevo nombre"]) {
+    const history = await (await get(`/ranking/history/${encodeURIComponent(name)}`)).json();
+    assert.equal(history.nickname, "Nuevo Nombre");
+    assert.deepEqual(history.accounts[0].points.map((p) => p.lp), [100, 200, 300]);
+  }
+  const unlinked = await (await get("/ranking/history/suelto")).json();
+  assert.deepEqual(unlinked.accounts.map((a) => a.riot_id), ["Suelto"]);
+
+  await send("DELETE", `/soloq/accounts/${account.id}`);
+  await send("DELETE", `/players/${player.id}`);
+});
+
+test("GET /jobs lista las tareas programadas", async () => {
+  const jobs = await (await get("/jobs")).json();
+  assert.deepEqual(jobs.map((j) => j.name), ["matches-sync", "matches-sync-dpm", "ranking"]);
+  assert.ok(jobs.every((j) => j.running === false && j.last_run === null));
+});
+
+test("GET /sync/runs lista las sincronizaciones y /sync/runs/:id trae los cambios", async () => {
+  const ok = await syncRunsRepo.start("liquipedia", "2025-06-18T10:00:00.000Z");
+  await syncRunsRepo.finish(ok, {
+    fetched: 4,
+    diff: {
+      added: 0,
+      updated: 1,
+      removed: 0,
+      changes: [{ id: "fnatic-g2-20300620T1800Z-bo5", change: "updated", fields: {} }],
+    },
+  });
+  const failed = await syncRunsRepo.start("dpm.lol", "2025-06-18T11:00:00.000Z");
+  await syncRunsRepo.fail(failed, new Error("Timeout"));
+
+  const all = await (await get("/sync/runs")).json();
+  assert.equal(all.total, 2);
+  assert.deepEqual(all.runs.map((r) => r.source), ["dpm.lol", "liquipedia"]);
+  assert.equal(all.runs[1].changes, undefined);
+
+  const errors = await (await get("/sync/runs?status=error")).json();
+  assert.equal(errors.runs[0].error, "Timeout");
+
+  const detail = await (await get(`/sync/runs/${ok}`)).json();
+  assert.equal(detail.fetched, 4);
+  assert.equal(detail.updated, 1);
+  assert.equal(detail.changes[0].change, "updated");
+
+  assert.equal((await get("/sync/runs/9999")).status, 404);
+  assert.equal((await get("/sync/runs?limit=0")).status, 400);
+  const res = await get("/sync/runs?source=liquipedia&source=dpm.lol");
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /source/);
+  assert.equal((await get("/sync/runs?status[x]=ok")).status, 400);
+});
+
+test("GET /health avisa cuando la última sincronización fue degradada", async () => {
+  const run = await syncRunsRepo.start("liquipedia", "2025-06-18T12:00:00.000Z");
+  await syncRunsRepo.degrade(run, {
+    fetched: 0,
+    problems: ["El scraper devolvió 0 filas (se esperaban al menos 1)"],
+  });
+
+  const res = await get("/health", { auth: false });
+  assert.equal(res.status, 503);
+  const health = await res.json();
+  assert.equal(health.status, "degraded");
+  assert.equal(health.sync.liquipedia.last_run.status, "degraded");
+  assert.match(health.problems[0], /liquipedia degradada: .*0 filas/);
+  // La anterior sí terminó bien
+  assert.ok(health.sync.liquipedia.last_success_at);
+  assert.equal(health.sync["dpm.lol"].last_run.status, "error");
+
+  // El health check de Fly solo mira la BD: sigue enviando tráfico
+  const ready = await get("/health/ready", { auth: false });
+  assert.equal(ready.status, 200);
+  assert.equal((await ready.json()).checks.database.status, "ok");
+});
+
+test("las claves de la BD solo abren las rutas de sus scopes", async () => {
+  let res = await send("POST", "/api-keys", { label: "frontend", scopes: ["read"] });
+  assert.equal(res.status, 201);
+  const reader = await res.json();
+  assert.match(reader.key, /^g2h_/);
+  assert.deepEqual(reader.scopes, ["read"]);
+
+  assert.equal((await get("/years", { auth: reader.key })).status, 200);
+  res = await send("POST", "/cache/clear", undefined, { auth: reader.key });
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).required_scope, "admin");
+  res = await send("POST", "/matches/sync", undefined, { auth: reader.key });
+  assert.equal(res.status, 403);
+  res = await send("POST", "/matches/sync-dpm", undefined, { auth: reader.key });
+  assert.equal(res.status, 403);
+  assert.equal((await get("/api-keys", { auth: reader.key })).status, 403);
+
+  res = await send("POST", "/api-keys", { label: "cron", scopes: ["sync"] });
+  const syncer = await res.json();
+  assert.equal((await get("/years", { auth: syncer.key })).status, 403);
+
+  const keys = await (await get("/api-keys")).json();
+  assert.deepEqual(keys.map((k) => k.label), ["frontend", "cron"]);
+  assert.ok(keys.every((k) => k.key === undefined));
+
+  res = await send("DELETE", `/api-keys/${reader.id}`);
+  assert.equal((await res.json()).revoked, true);
+  assert.equal((await get("/years", { auth: reader.key })).status, 401);
+  assert.equal((await send("DELETE", "/api-keys/9999")).status, 404);
+  assert.equal((await send("POST", "/api-keys", { label: "x", scopes: ["root"] })).status, 400);
+});
+
+test("las claves inventadas no ocupan sitio en la caché compartida", async () => {
+  await get("/years");
+  const before = (await (await get("/cache/stats")).json()).entries;
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await get("/years", { auth: `g2h_inventada${i}` })).status, 401);
+  }
+  assert.equal((await (await get("/cache/stats")).json()).entries, before);
+});
+
+test("las respuestas llevan las cabeceras del límite de peticiones", async () => {
+  const res = await get("/years");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("ratelimit-limit"), "300");
+  assert.ok(Number(res.headers.get("ratelimit-remaining")) < 300);
+});
+
+test("CRUD de jugadores con temporadas y sin tener que limpiar la caché", async () => {
+  // Cacheada vacía antes del alta
+  assert.deepEqual(await (await get("/players/year/2026")).json(), []);
+  assert.equal((await get("/players/Nuevo")).status, 404);
+
+  let res = await send("POST", "/players", {
+    nickname: "Nuevo",
+    seasons: [
+      { year: 2026, split: "winter", role: "JUNGLE", starter: false },
+      { year: 2026, split: "Spring", role: "jungle" },
+    ],
+  });
+  assert.equal(res.status, 201);
+  const player = await res.json();
+  assert.deepEqual(
+    player.seasons.map((s) => [s.split, s.role, s.starter]),
+    [["Winter", "jungle", false], ["Spring", "jungle", true]]
+  );
+
+  const roster = await (await get("/players/year/2026")).json();
+  assert.deepEqual(roster.map((p) => [p.nickname, p.starter]), [["Nuevo", true]]);
+  assert.equal((await get("/players/Nuevo")).status, 200);
+
+  res = await send("POST", "/players", { nickname: "nuevo" });
+  assert.equal(res.status, 409);
+  res = await send("POST", "/players", { nickname: "Otro", seasons: [{ year: 26 }] });
+  assert.equal(res.status, 400);
+  res = await send("POST", "/players", { nickname: "Otro", nationality: 34 });
+  assert.equal(res.status, 400);
+  res = await send("POST", "/players", {
+    nickname: "Otro",
+    seasons: [{ year: 2026 }, { year: 2026 }],
+  });
+  assert.match((await res.json()).error, /repetida/);
+
+  res = await send("PATCH", `/players/${player.id}`, { nickname: "Renombrado", nationality: "ES" });
+  const renamed = await res.json();
+  assert.equal(renamed.seasons.length, 2);
+  assert.equal(renamed.nationality, "ES");
+  assert.deepEqual(renamed.aliases, ["Nuevo"]);
+  // El nombre antiguo sigue llevando al jugador, con la ruta canónica
+  res = await get("/players/Nuevo");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("link"), '</players/Renombrado>; rel="canonical"');
+  assert.deepEqual(
+    (({ id, matched_alias, redirect }) => ({ id, matched_alias, redirect }))(await res.json()),
+    { id: player.id, matched_alias: "Nuevo", redirect: "/players/Renombrado" }
+  );
+  res = await send("PATCH", `/players/${player.id}`, { nickname: "Caps" });
+  assert.equal(res.status, 409);
+
+  // PUT sustituye todo: lo que no viene se queda vacío
+  res = await send("PUT", `/players/${player.id}`, { nickname: "Renombrado" });
+  const replaced = await res.json();
+  assert.deepEqual(replaced.seasons, []);
+  assert.equal(replaced.nationality, null);
+  assert.deepEqual(await (await get("/players/year/2026")).json(), []);
+
+  assert.equal((await send("DELETE", `/players/${player.id}`)).status, 204);
+  assert.equal((await send("DELETE", `/players/${player.id}`)).status, 404);
+  assert.equal((await send("PATCH", "/players/9999", { nickname: "X" })).status, 404);
+  assert.equal((await send("PUT", "/players/9999", { nickname: "Caps" })).status, 404);
+  assert.equal((await get("/players/Renombrado")).status, 404);
+});
+
+test("CRUD de años con validación y año único", async () => {
+  let res = await send("POST", "/years", { year: 2026 });
+  assert.equal(res.status, 201);
+  const created = await res.json();
+  assert.equal(created.year, "2026");
+  assert.deepEqual((await (await get("/years")).json()).map((y) => y.year), ["2023", "2024", "2026"]);
+
+  assert.equal((await send("POST", "/years", { year: "2026" })).status, 409);
+  assert.equal((await send("POST", "/years", { year: "20" })).status, 400);
+  assert.equal((await send("PUT", `/years/${created.id}`, { year: "2024" })).status, 409);
+
+  res = await send("PATCH", `/years/${created.id}`, { year: "2027" });
+  assert.equal((await res.json()).year, "2027");
+  assert.equal((await send("DELETE", `/years/${created.id}`)).status, 204);
+  assert.deepEqual((await (await get("/years")).json()).map((y) => y.year), ["2023", "2024"]);
+  assert.equal((await send("POST", "/years", { year: "2026" }, { auth: false })).status, 401);
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createScraperRunner } = require("../lib/scrapers");
+
+// Pool falso: withPage pasa una "página" vacía
+const pool = { withPage: (fn) => fn({}) };
+
+test("los scrapings iguales en marcha se comparten", async () => {
+  let calls = 0;
+  const scraper = {
+    name: "fake",
+    scrape: async (page, input) => {
+      calls++;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return input.region;
+    },
+  };
+  const runScraper = createScraperRunner(pool);
+
+  const results = await Promise.all([
+    runScraper(scraper, { region: "euw" }),
+    runScraper(scraper, { region: "euw" }),
+    runScraper(scraper, { region: "kr" }),
+  ]);
+  assert.deepEqual(results, ["euw", "euw", "kr"]);
+  assert.equal(calls, 2);
+
+  // Terminado, el siguiente vuelve a scrapear
+  await runScraper(scraper, { region: "euw" });
+  assert.equal(calls, 3);
+});
+
+test("reintenta tras un fallo", async () => {
+  let calls = 0;
+  const scraper = {
+    name: "flaky",
+    retries: 1,
+    scrape: async () => {
+      if (++calls === 1) throw new Error("net::ERR_TIMED_OUT");
+      return "ok";
+    },
+  };
+  const runScraper = createScraperRunner(pool, { backoffBase: 1 });
+  assert.equal(await runScraper(scraper), "ok");
+  assert.equal(calls, 2);
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { checkScrapeResult, scrapers } = require("../lib/scrapers");
+
+const now = new Date("2025-06-18T12:00:00Z");
+const rules = scrapers.liquipedia.sanity;
+
+test("la salida del fixture de Liquipedia pasa las comprobaciones", () => {
+  const html = fs.readFileSync(path.join(__dirname, "fixtures", "liquipedia-g2.html"), "utf8");
+  const matches = scrapers.liquipedia.parse(html);
+  assert.deepEqual(checkScrapeResult(matches, rules, { minRows: 1, now }), []);
+});
+
+test("0 filas es un problema solo si se esperaban partidos", () => {
+  assert.deepEqual(checkScrapeResult([], rules, { minRows: 0, now }), []);
+  assert.match(checkScrapeResult([], rules, { minRows: 1, now })[0], /0 filas/);
+});
+
+test("detecta campos vacíos y fechas imposibles", () => {
+  const rows = [
+    { team1: "G2", team2: "FNC", tournament: { name: "LEC" }, start: new Date("2025-06-20T18:00Z") },
+    { team1: "G2", team2: "KC", tournament: { name: null }, start: new Date("1970-01-01T00:00Z") },
+  ];
+  const problems = checkScrapeResult(rows, rules, { now });
+  assert.deepEqual(problems, [
+    "1 de 2 filas sin tournament.name",
+    "1 fechas fuera de rango o inválidas en start",
+  ]);
+});
+
+test("los partidos sin fecha (TBD) son válidos en próximos", () => {
+  const tbd = (team2, date = "") => ({
+    team1: "G2", team2, tournament: { name: "LEC" }, date, start: null,
+  });
+  // Todo el panel sin fecha, recién anunciado el split
+  assert.deepEqual(checkScrapeResult([tbd("FNC"), tbd("KC", "TBD")], rules, { minRows: 1, now }), []);
+  // Algunos con fecha y otros todavía sin ella
+  const dated = { ...tbd("VIT", "June 20, 2025 - 20:00 CEST"), start: new Date("2025-06-20T18:00Z") };
+  assert.deepEqual(checkScrapeResult([dated, tbd("FNC")], rules, { now }), []);
+});
+
+test("una fecha que no se entiende mientras otras sí es sospechosa", () => {
+  const rows = [
+    { team1: "G2", team2: "VIT", tournament: { name: "LEC" }, date: "June 20, 2025 - 20:00 CEST",
+      start: new Date("2025-06-20T18:00Z") },
+    { team1: "G2", team2: "FNC", tournament: { name: "LEC" }, date: "20.06.2025 20h", start: null },
+  ];
+  assert.deepEqual(checkScrapeResult(rows, rules, { now }), ["1 de 2 filas con date sin interpretar"]);
+});
+
+test("sin ninguna fecha y con menos filas de las esperadas la salida es sospechosa", () => {
+  const rows = [{ team1: "G2", team2: "FNC", tournament: { name: "LEC" }, start: null }];
+  assert.deepEqual(checkScrapeResult(rows, rules, { minRows: 2, now }), [
+    "El scraper devolvió 1 filas (se esperaban al menos 2)",
+    "Ninguna fila tiene start",
+  ]);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createScheduler } = require("../lib/scheduler");
+
+test("run no solapa ejecuciones de la misma tarea", async () => {
+  const scheduler = createScheduler();
+  let calls = 0;
+  let release;
+  scheduler.add("sync", async () => {
+    calls++;
+    await new Promise((resolve) => (release = resolve));
+    return { updated: 3 };
+  });
+
+  const first = scheduler.run("sync");
+  const second = scheduler.run("sync");
+  assert.equal(first, second);
+  assert.equal(scheduler.status()[0].running, true);
+
+  release();
+  assert.deepEqual(await first, { updated: 3 });
+  assert.equal(calls, 1);
+});
+
+test("status guarda duración y resultado de la última ejecución", async () => {
+  let clock = 1000;
+  const scheduler = createScheduler({ now: () => clock });
+  scheduler.add("falla", async () => {
+    clock += 250;
+    throw new Error("sin conexión");
+  });
+
+  await assert.rejects(scheduler.run("falla"), /sin conexión/);
+  const [job] = scheduler.status();
+  assert.equal(job.running, false);
+  assert.equal(job.last_run.outcome, "error");
+  assert.equal(job.last_run.error, "sin conexión");
+  assert.equal(job.last_run.duration_ms, 250);
+  assert.equal(job.next_run, null);
+});
+
+test("start programa solo las tareas con intervalo y stop las cancela", () => {
+  const scheduler = createScheduler({ now: () => 0 });
+  scheduler.add("cada-hora", async () => {}, { interval: 3600000 });
+  scheduler.add("manual", async () => {});
+
+  scheduler.start();
+  const [hourly, manual] = scheduler.status();
+  assert.equal(hourly.next_run, "1970-01-01T01:00:00.000Z");
+  assert.equal(manual.next_run, null);
+
+  scheduler.stop();
+  assert.equal(scheduler.status()[0].next_run, null);
+});
+
+test("run de una tarea desconocida falla", () => {
+  assert.throws(() => createScheduler().run("nada"), /desconocida/);
+});
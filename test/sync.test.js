@@ -0,0 +1,354 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// BD en memoria y clave conocida antes de cargar la app
+process.env.TURSO_URL = ":memory:";
+process.env.API_KEY = "test-key";
+process.env.HEALTH_CHECK_BROWSER = "false";
+process.env.RATE_LIMIT_SCRAPES_PER_10_MINUTES = "100";
+
+const {
+  app,
+  db,
+  migrate,
+  browserPool,
+  scheduler,
+  cache,
+  syncRunsRepo,
+} = require("../server");
+const { scrapers } = require("../lib/scrapers");
+const { canonicalMatchKey } = require("../lib/matchKey");
+
+// Sin Chromium: withPage pasa una "página" vacía y cada scraper devuelve lo
+// que haya en scraped[nombre]
+const scraped = { liquipedia: [], dpm: [] };
+const HOUR = 60 * 60 * 1000;
+const at = (ms) => new Date(Date.now() + ms);
+
+let server;
+let baseUrl;
+
+function post(path) {
+  return fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { Authorization: "Bearer test-key" },
+  });
+}
+
+async function upcomingTeams() {
+  const rows = await db.execute("SELECT team1, team2 FROM matches_upcoming ORDER BY date");
+  return rows.rows.map((r) => `${r.team1}-${r.team2}`);
+}
+
+// start null es un partido aún sin fecha ("TBD")
+function liquipediaMatch(team2, start) {
+  return {
+    sourceId: `G2 Esports-${team2}-${start ? start.toISOString() : "unknown"}`,
+    team1: "G2 Esports",
+    team2,
+    bo: "Bo3",
+    date: start ? start.toISOString() : "",
+    start,
+    streams: { twitch: null, youtube: null },
+    tournament: { name: "LEC Summer", url: null, logo: null },
+  };
+}
+
+test.before(async () => {
+  await migrate({ log: () => {} });
+  test.mock.method(browserPool, "withPage", (fn) => fn({}));
+  test.mock.method(scrapers.liquipedia, "scrape", async () => scraped.liquipedia);
+  test.mock.method(scrapers.dpm, "scrape", async () => scraped.dpm);
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test.beforeEach(async () => {
+  await db.batch(
+    ["DELETE FROM matches_upcoming", "DELETE FROM matches_history", "DELETE FROM match_aliases"],
+    "write"
+  );
+});
+
+test("una página de Liquipedia a medias no archiva partidos futuros de otra fuente", async () => {
+  const future = at(48 * HOUR);
+  await db.batch(
+    [
+      // Solo lo conoce dpm.lol
+      {
+        sql: `INSERT INTO matches_upcoming (id, team1, team2, bo, date)
+              VALUES ('g2-vitality-dpm', 'G2', 'VIT', 'BO1', ?)`,
+        args: [at(24 * HOUR).toISOString()],
+      },
+      // Ya empezó y Liquipedia lo quitó de su lista
+      {
+        sql: `INSERT INTO matches_upcoming (id, team1, team2, bo, date)
+              VALUES ('g2-heretics-played', 'G2 Esports', 'Team Heretics', 'Bo3', ?)`,
+        args: [at(-3 * HOUR).toISOString()],
+      },
+    ],
+    "write"
+  );
+  scraped.liquipedia = [liquipediaMatch("Fnatic", future)];
+
+  const res = await post("/matches/sync");
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).status, "ok");
+
+  assert.deepEqual(await upcomingTeams(), ["G2-VIT", "G2 Esports-Fnatic"]);
+  const history = await db.execute("SELECT id, score FROM matches_history");
+  assert.deepEqual(
+    history.rows.map((r) => [r.id, r.score]),
+    [["g2-heretics-played", null]]
+  );
+});
+
+test("un partido TBD que recibe fecha conserva su id y no pasa al historial", async () => {
+  const future = at(48 * HOUR);
+  scraped.liquipedia = [
+    liquipediaMatch("Fnatic", null),
+    liquipediaMatch("Team Heretics", null),
+    liquipediaMatch("Karmine Corp", at(72 * HOUR)),
+  ];
+  await post("/matches/sync");
+  const tbdId = "fnatic-g2-tbd-bo3";
+  const stored = await db.execute({ sql: "SELECT 1 FROM matches_upcoming WHERE id = ?", args: [tbdId] });
+  assert.equal(stored.rows.length, 1);
+
+  // Fnatic ya tiene fecha y Heretics desaparece de la lista sin haberla tenido
+  scraped.liquipedia = [
+    liquipediaMatch("Fnatic", future),
+    liquipediaMatch("Karmine Corp", at(72 * HOUR)),
+  ];
+  const result = await (await post("/matches/sync")).json();
+  assert.equal(result.status, "ok");
+
+  const upcoming = await db.execute("SELECT id, team2, date, sequence FROM matches_upcoming ORDER BY date");
+  assert.deepEqual(upcoming.rows.map((r) => r.team2), ["Fnatic", "Karmine Corp"]);
+  assert.deepEqual(
+    [upcoming.rows[0].id, upcoming.rows[0].date, upcoming.rows[0].sequence],
+    [tbdId, future.toISOString(), 1]
+  );
+  assert.equal((await db.execute("SELECT COUNT(*) AS n FROM matches_history")).rows[0].n, 0);
+
+  // El id antiguo y la clave nueva llevan al mismo partido
+  const auth = { headers: { Authorization: "Bearer test-key" } };
+  assert.equal((await fetch(`${baseUrl}/calendar/${tbdId}`, auth)).status, 200);
+  const newKey = canonicalMatchKey(liquipediaMatch("Fnatic", future));
+  const res = await fetch(`${baseUrl}/calendar/${newKey}`, auth);
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), new RegExp(`UID:${tbdId}@`));
+});
+
+test("un panel de Liquipedia con todos los partidos sin fecha no se degrada", async () => {
+  scraped.liquipedia = [liquipediaMatch("Fnatic", at(48 * HOUR))];
+  await post("/matches/sync");
+
+  scraped.liquipedia = [liquipediaMatch("Karmine Corp", null), liquipediaMatch("Team Heretics", null)];
+  const result = await (await post("/matches/sync")).json();
+  assert.equal(result.status, "ok");
+  assert.equal(result.changes.added, 2);
+});
+
+test("los partidos ya jugados de dpm.lol sin marcador no aparecen como próximos", async () => {
+  const dpmMatch = (team2, start, score) => ({
+    sourceId: `G2-${team2}-${start.toISOString()}`,
+    start,
+    dateISO: start.toISOString(),
+    dateRaw: start.toISOString(),
+    team1: "G2",
+    team2,
+    bo: "BO1",
+    score,
+    tournament_name: "LEC Summer",
+  });
+  scraped.dpm = [dpmMatch("FNC", at(-26 * HOUR), "1-0"), dpmMatch("VIT", at(-2 * HOUR), "-")];
+
+  const res = await post("/matches/sync-dpm");
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).archived, 1);
+
+  const upcoming = await (
+    await fetch(`${baseUrl}/matches/upcoming`, { headers: { Authorization: "Bearer test-key" } })
+  ).json();
+  assert.deepEqual(upcoming, []);
+  const history = await db.execute("SELECT team2, score FROM matches_history");
+  assert.deepEqual(history.rows.map((r) => [r.team2, r.score]), [["FNC", "1-0"]]);
+});
+
+test("GET /ranking no espera al scraping: 503 sin fotos y después la última foto", async (t) => {
+  let release;
+  const scraping = new Promise((resolve) => (release = resolve));
+  t.mock.method(scrapers.opgg, "scrape", async (page, { targetRiotIds }) => {
+    await scraping;
+    return targetRiotIds.includes("G2 Caps")
+      ? [{ gameName: "G2 Caps", tagLine: "1323", tier: "Challenger", lp: 1845, rank: "4" }]
+      : [];
+  });
+  cache.invalidate("ranking");
+
+  const get = () =>
+    fetch(`${baseUrl}/ranking`, { headers: { Authorization: "Bearer test-key" } });
+  let res = await get();
+  assert.equal(res.status, 503);
+  assert.equal(res.headers.get("retry-after"), "60");
+  assert.ok(scheduler.isRunning("ranking"));
+
+  release();
+  await scheduler.run("ranking");
+  res = await get();
+  assert.equal(res.status, 200);
+  const ranking = await res.json();
+  assert.deepEqual([ranking[0].riot_id, ranking[0].lp], ["G2 Caps", 1845]);
+
+  // Con la caché vacía sirve la foto guardada mientras recalcula
+  cache.invalidate("ranking");
+  res = await get();
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), ranking);
+  await scheduler.run("ranking");
+});
+
+test("una sincronización correcta queda en sync_runs con sus cambios", async () => {
+  scraped.liquipedia = [
+    liquipediaMatch("Fnatic", at(48 * HOUR)),
+    liquipediaMatch("Karmine Corp", at(72 * HOUR)),
+  ];
+  const result = await (await post("/matches/sync")).json();
+  assert.equal(result.status, "ok");
+  assert.deepEqual(result.changes, { added: 2, updated: 0, removed: 0 });
+
+  const run = await syncRunsRepo.findById(result.run_id);
+  assert.deepEqual(
+    [run.source, run.status, run.fetched, run.added, run.error],
+    ["liquipedia", "ok", 2, 2, null]
+  );
+  assert.deepEqual(run.changes.map((c) => c.change), ["added", "added"]);
+});
+
+test("dos sincronizaciones a la vez solo cuentan lo que escribe cada una", async (t) => {
+  // Los dos scrapers terminan antes de que ninguna sincronización escriba
+  let release;
+  const scraping = new Promise((resolve) => (release = resolve));
+  let waiting = 0;
+  const afterBoth = (rows) => async () => {
+    if (++waiting === 2) release();
+    await scraping;
+    return rows;
+  };
+  const start = at(12 * HOUR);
+  t.mock.method(scrapers.liquipedia, "scrape", afterBoth([liquipediaMatch("Fnatic", start)]));
+  t.mock.method(
+    scrapers.dpm,
+    "scrape",
+    afterBoth([
+      {
+        sourceId: "G2-FNC-dpm",
+        start,
+        dateISO: start.toISOString(),
+        dateRaw: start.toISOString(),
+        team1: "G2",
+        team2: "FNC",
+        bo: "BO3",
+        score: "-",
+        tournament_name: "LEC Summer",
+      },
+    ])
+  );
+
+  const [liquipedia, dpm] = await Promise.all([
+    scheduler.run("matches-sync"),
+    scheduler.run("matches-sync-dpm"),
+  ]);
+  const added = [liquipedia, dpm].map((r) => r.changes.added).sort();
+  assert.deepEqual(added, [0, 1]);
+  assert.equal((await upcomingTeams()).length, 1);
+
+  const runs = await Promise.all([liquipedia, dpm].map((r) => syncRunsRepo.findById(r.run_id)));
+  assert.equal(runs.flatMap((r) => r.changes).filter((c) => c.change === "added").length, 1);
+});
+
+test("si el scraper devuelve 0 filas la sincronización queda degradada y no borra nada", async () => {
+  scraped.liquipedia = [liquipediaMatch("Fnatic", at(48 * HOUR))];
+  await post("/matches/sync");
+
+  scraped.liquipedia = [];
+  const result = await (await post("/matches/sync")).json();
+  assert.equal(result.status, "degraded");
+  assert.match(result.problems[0], /0 filas/);
+  assert.deepEqual(await upcomingTeams(), ["G2 Esports-Fnatic"]);
+
+  const run = await syncRunsRepo.findById(result.run_id);
+  assert.deepEqual([run.status, run.fetched, run.added], ["degraded", 0, 0]);
+  assert.match(run.error, /0 filas/);
+});
+
+test("dpm.lol vacío con partidos de la última semana guardados también se degrada", async () => {
+  await db.execute({
+    sql: `INSERT INTO matches_history (id, team1, team2, bo, date, score, winner, source)
+          VALUES ('g2-fnatic-dpm', 'G2', 'FNC', 'BO1', ?, '1-0', 'G2', 'dpm.lol')`,
+    args: [at(-24 * HOUR).toISOString()],
+  });
+  scraped.dpm = [];
+  const result = await (await post("/matches/sync-dpm")).json();
+  assert.equal(result.status, "degraded");
+  const history = await db.execute("SELECT id FROM matches_history");
+  assert.deepEqual(history.rows.map((r) => r.id), ["g2-fnatic-dpm"]);
+});
+
+test("un scraper que falla deja la sincronización como error", async (t) => {
+  const { retries } = scrapers.liquipedia;
+  scrapers.liquipedia.retries = 0;
+  t.mock.method(scrapers.liquipedia, "scrape", async () => {
+    throw new Error("net::ERR_TIMED_OUT");
+  });
+  try {
+    await assert.rejects(scheduler.run("matches-sync"), /ERR_TIMED_OUT/);
+  } finally {
+    scrapers.liquipedia.retries = retries;
+  }
+
+  const { runs } = await syncRunsRepo.list({
+    source: "liquipedia",
+    status: "error",
+    limit: 10,
+    offset: 0,
+  });
+  assert.equal(runs.length, 1);
+  assert.match(runs[0].error, /ERR_TIMED_OUT/);
+});
+
+test("cambiar un jugador no recalcula el ranking: el nickname se pone al servirlo", async (t) => {
+  await db.batch(
+    [
+      "INSERT INTO players (id, nickname, nickname_key) VALUES (1, 'Caps', 'caps')",
+      "UPDATE soloq_accounts SET player_id = 1 WHERE game_name = 'G2 Caps'",
+    ],
+    "write"
+  );
+  let scrapes = 0;
+  t.mock.method(scrapers.opgg, "scrape", async () => {
+    scrapes++;
+    return [{ gameName: "G2 Caps", tagLine: "1323", tier: "Challenger", lp: 1845, rank: "4" }];
+  });
+  await scheduler.run("ranking");
+
+  const res = await fetch(`${baseUrl}/players/1`, {
+    method: "PATCH",
+    headers: { Authorization: "Bearer test-key", "Content-Type": "application/json" },
+    body: JSON.stringify({ nickname: "Capsinho" }),
+  });
+  assert.equal(res.status, 200);
+
+  const ranking = await (
+    await fetch(`${baseUrl}/ranking`, { headers: { Authorization: "Bearer test-key" } })
+  ).json();
+  const caps = ranking.find((r) => r.player_id === 1);
+  assert.equal(caps.nickname, "Capsinho");
+  assert.equal(scrapes, 1);
+  assert.equal(scheduler.isRunning("ranking"), false);
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffMatches } = require("../lib/matchesRepository");
+
+const match = (id, fields) => [
+  id,
+  { team1: "G2", team2: "FNC", bo: "Bo5", date: "2030-06-20T18:00:00.000Z", score: null,
+    tournament_name: "LEC", state: "upcoming", ...fields },
+];
+
+test("diffMatches distingue partidos añadidos, cambiados y quitados", () => {
+  const before = new Map([
+    match("moved"),
+    match("same"),
+    match("played"),
+    match("gone"),
+  ]);
+  const after = new Map([
+    match("moved", { date: "2030-06-20T19:00:00.000Z" }),
+    match("same"),
+    match("played", { state: "played", score: "3-1" }),
+    match("new", { team2: "KC" }),
+  ]);
+
+  const diff = diffMatches(before, after);
+  assert.deepEqual(
+    [diff.added, diff.updated, diff.removed],
+    [1, 1, 2]
+  );
+  assert.deepEqual(diff.changes.find((c) => c.id === "moved"), {
+    id: "moved",
+    change: "updated",
+    fields: {
+      date: { from: "2030-06-20T18:00:00.000Z", to: "2030-06-20T19:00:00.000Z" },
+    },
+  });
+  assert.equal(diff.changes.find((c) => c.id === "played").score, "3-1");
+  assert.equal(diff.changes.find((c) => c.id === "gone").change, "removed");
+  assert.equal(diff.changes.find((c) => c.id === "new").team2, "KC");
+});
+
+test("diffMatches sin cambios devuelve contadores a cero", () => {
+  const snapshot = new Map([match("a"), match("b", { state: "played", score: "2-0" })]);
+  assert.deepEqual(diffMatches(snapshot, new Map(snapshot)), {
+    added: 0,
+    updated: 0,
+    removed: 0,
+    changes: [],
+  });
+});